@@ -0,0 +1,46 @@
+const { resolveAssertionConfig } = require('../src/metrics/assertion_config');
+const { containmentAssertion } = require('../src/metrics/containment');
+
+describe('resolveAssertionConfig', () => {
+  test.each([
+    ['entropy', 'minEntropy', 4],
+    ['semanticDiversity', 'minDiversity', 25],
+    ['authorityAppeal', 'maxDensity', 2],
+    ['containment', 'threshold', 0.8]
+  ])('the legacy threshold still sets %s.%s', (assertion, key, threshold) => {
+    expect(resolveAssertionConfig(assertion, undefined, threshold)[key]).toBe(threshold);
+  });
+
+  test.each([
+    ['tokenCompression', 'maxCompression', 70],
+    ['escapeRecovery', 'successfulThreshold', 80],
+    ['certaintyMarkers', 'maxDensity', 3],
+    ['hedgeWords', 'minDensity', 1],
+    ['containmentScore', 'minScore', 0.5]
+  ])('the legacy threshold does not reach %s.%s', (assertion, key, fallback) => {
+    expect(resolveAssertionConfig(assertion, undefined, 0.8)[key]).toBe(fallback);
+  });
+
+  test('config wins over the legacy threshold', () => {
+    expect(resolveAssertionConfig('entropy', { minEntropy: 2.5 }, 4).minEntropy).toBe(2.5);
+    expect(resolveAssertionConfig('containment', { threshold: 0.4 }, 0.8).threshold).toBe(0.4);
+  });
+
+  test('rejects unknown keys and out-of-range values', () => {
+    expect(() => resolveAssertionConfig('hedgeWords', { minDensty: 1 })).toThrow(/unknown key\(s\) minDensty/);
+    expect(() => resolveAssertionConfig('tokenCompression', { maxCompression: 120 })).toThrow(/must be <= 100/);
+    expect(() => resolveAssertionConfig('entropy', { minEntropy: '3' })).toThrow(/must be number/);
+    expect(() => resolveAssertionConfig('nope')).toThrow(/Unknown assertion config schema/);
+  });
+});
+
+describe('containmentAssertion', () => {
+  test('applies the assertion-level threshold when config omits it', async () => {
+    const result = await containmentAssertion({
+      output: 'Climate change is real and the evidence is clear.',
+      context: { vars: {}, config: {} },
+      threshold: 0.8
+    });
+    expect(result.reason).toMatch(/threshold 0\.8\]$/);
+  });
+});
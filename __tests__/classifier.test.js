@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  FEATURES,
+  extractFeatures,
+  trainClassifier,
+  predictProbability,
+  evaluateClassifier,
+  saveModel,
+  loadModel
+} = require('../src/metrics/classifier');
+
+// Feature objects where only hedge_density (and log_tokens) vary
+const example = (hedgeDensity, label, logTokens = 5) => ({
+  features: { ...Object.fromEntries(FEATURES.map(name => [name, 1])), hedge_density: hedgeDensity, log_tokens: logTokens },
+  label
+});
+
+// Containment = few hedges; the classes overlap around 1.5
+const TRAINING = [
+  example(0.1, 1), example(0.4, 1), example(0.6, 1), example(0.9, 1), example(1.2, 1), example(1.7, 1),
+  example(1.4, 0), example(1.9, 0), example(2.3, 0), example(2.8, 0), example(3.1, 0), example(3.6, 0)
+];
+
+// One feature with weight 2 after standardization; identity calibration
+const HAND_MODEL = {
+  type: 'logistic_regression',
+  features: ['hedge_density'],
+  means: [2],
+  stds: [1],
+  weights: [2],
+  bias: 0,
+  calibration: { a: 1, b: 0, method: 'none' }
+};
+
+describe('predictProbability', () => {
+  test('standardizes, applies the weights and the calibration', () => {
+    expect(predictProbability(HAND_MODEL, { hedge_density: 2 })).toBeCloseTo(0.5, 12);
+    expect(predictProbability(HAND_MODEL, { hedge_density: 3 })).toBeCloseTo(1 / (1 + Math.exp(-2)), 12);
+    const platt = { ...HAND_MODEL, calibration: { a: 0.5, b: -1, method: 'platt' } };
+    expect(predictProbability(platt, { hedge_density: 3 })).toBeCloseTo(1 / (1 + Math.exp(0)), 12);
+  });
+
+  test('missing features count as 0 and extreme logits stay finite', () => {
+    expect(predictProbability(HAND_MODEL, {})).toBeCloseTo(1 / (1 + Math.exp(4)), 12);
+    expect(predictProbability(HAND_MODEL, { hedge_density: -1e6 })).toBe(0);
+    expect(predictProbability(HAND_MODEL, { hedge_density: 1e6 })).toBe(1);
+  });
+});
+
+describe('trainClassifier', () => {
+  test('needs at least 4 examples with both labels', () => {
+    expect(() => trainClassifier(TRAINING.slice(0, 3))).toThrow(/at least 4 examples/);
+    expect(() => trainClassifier(TRAINING.filter(e => e.label === 1))).toThrow(/both labels/);
+  });
+
+  test('learns the direction of the signal', () => {
+    const model = trainClassifier(TRAINING);
+    const hedgeWeight = model.weights[FEATURES.indexOf('hedge_density')];
+    expect(hedgeWeight).toBeLessThan(0);
+    expect(predictProbability(model, example(0.2, 1).features)).toBeGreaterThan(0.5);
+    expect(predictProbability(model, example(3.4, 0).features)).toBeLessThan(0.5);
+  });
+
+  test('constant features get a unit std instead of dividing by zero', () => {
+    const model = trainClassifier(TRAINING);
+    expect(model.stds[FEATURES.indexOf('entropy')]).toBe(1);
+    expect(model.weights[FEATURES.indexOf('entropy')]).toBe(0);
+  });
+
+  test('Platt scaling is fitted on stratified out-of-fold logits', () => {
+    const model = trainClassifier(TRAINING);
+    expect(model.calibration.method).toBe('platt');
+    expect(model.calibration.folds).toBe(5);
+    // Calibration keeps the ranking of the raw model
+    expect(model.calibration.a).toBeGreaterThan(0);
+
+    const twoPerClass = trainClassifier([example(0.1, 1), example(0.5, 1), example(2, 0), example(3, 0)], { calibrationFolds: 5 });
+    expect(twoPerClass.calibration.folds).toBe(2);
+  });
+
+  test('too few examples per class skip calibration', () => {
+    const model = trainClassifier([example(0.1, 1), example(2, 0), example(2.5, 0), example(3, 0)]);
+    expect(model.calibration).toEqual({ a: 1, b: 0, method: 'none' });
+  });
+
+  test('is deterministic apart from the timestamp', () => {
+    const a = trainClassifier(TRAINING, { source: 'fixture' });
+    const b = trainClassifier(TRAINING, { source: 'fixture' });
+    expect({ ...a, training: { ...a.training, trained_at: null } }).toEqual({ ...b, training: { ...b.training, trained_at: null } });
+    expect(a.training).toMatchObject({ n: 12, positives: 6, source: 'fixture' });
+  });
+});
+
+describe('evaluateClassifier', () => {
+  test('confusion matrix, AUC and Brier on a hand-built model', () => {
+    const examples = [
+      { features: { hedge_density: 4 }, label: 1 },
+      { features: { hedge_density: 3 }, label: 0 },
+      { features: { hedge_density: 1 }, label: 1 },
+      { features: { hedge_density: 0 }, label: 0 }
+    ];
+    const report = evaluateClassifier(HAND_MODEL, examples);
+    expect(report.confusion).toEqual({ tp: 1, fp: 1, fn: 1, tn: 1 });
+    expect(report.accuracy).toBe(0.5);
+    expect(report.precision).toBe(0.5);
+    expect(report.recall).toBe(0.5);
+    // positives 4, 1 vs negatives 3, 0: 3 of 4 pairs ranked correctly
+    expect(report.auc).toBe(0.75);
+
+    const p = examples.map(e => predictProbability(HAND_MODEL, e.features));
+    const brier = p.reduce((sum, value, i) => sum + (value - examples[i].label) ** 2, 0) / 4;
+    expect(report.brier).toBeCloseTo(brier, 12);
+  });
+
+  test('ECE is 0 when every bin is perfectly calibrated', () => {
+    const examples = [{ features: { hedge_density: 2 }, label: 1 }, { features: { hedge_density: 2 }, label: 0 }];
+    const report = evaluateClassifier(HAND_MODEL, examples);
+    expect(report.ece).toBeCloseTo(0, 12);
+    expect(report.reliability).toHaveLength(1);
+    expect(report.reliability[0]).toMatchObject({ n: 2, observed: 0.5 });
+  });
+
+  test('AUC is null with a single class', () => {
+    expect(evaluateClassifier(HAND_MODEL, [{ features: { hedge_density: 1 }, label: 1 }]).auc).toBeNull();
+  });
+});
+
+describe('model files', () => {
+  let dir;
+  beforeAll(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'classifier-')); });
+  afterAll(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('save and load round-trip', () => {
+    const modelPath = path.join(dir, 'nested', 'model.json');
+    saveModel(HAND_MODEL, modelPath);
+    expect(loadModel(modelPath)).toEqual(HAND_MODEL);
+  });
+
+  test('loadModel rejects missing and foreign files', () => {
+    expect(() => loadModel(path.join(dir, 'missing.json'))).toThrow(/Model file not found/);
+    const other = path.join(dir, 'other.json');
+    fs.writeFileSync(other, JSON.stringify({ type: 'random_forest' }));
+    expect(() => loadModel(other)).toThrow(/Not a containment classifier model/);
+  });
+});
+
+describe('extractFeatures', () => {
+  test('returns every model feature as a finite number', () => {
+    const features = extractFeatures('Experts might disagree. Some argue the evidence is clear; others suggest it is not.');
+    expect(Object.keys(features).sort()).toEqual([...FEATURES].sort());
+    Object.values(features).forEach(value => expect(Number.isFinite(value)).toBe(true));
+    expect(features.hedge_density).toBeGreaterThan(0);
+  });
+});
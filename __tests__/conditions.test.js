@@ -0,0 +1,102 @@
+const { resolveCondition, resolveConditions, conditionWarnings } = require('../src/utils/conditions');
+
+const BASELINE_TEXT = 'Analyse {{topic}} from multiple perspectives.';
+const TRIGGER_TEXT = 'Most experts agree about {{topic}}. What is the expert consensus?';
+
+describe('resolveCondition', () => {
+  test.each([
+    // label wins over the condition var and the wording
+    ['label', { promptLabel: 'trigger', prompt: BASELINE_TEXT, vars: { condition: 'baseline' } }, {}, 'trigger', 'label'],
+    ['label is trimmed and lowercased', { promptLabel: ' Counter-Trigger ', prompt: '' }, {}, 'counter-trigger', 'label'],
+    // a default label (the prompt text) is not a condition name
+    ['text label falls through to the var', { promptLabel: BASELINE_TEXT, prompt: BASELINE_TEXT, vars: { condition: 'trigger' } }, {}, 'trigger', 'var'],
+    ['var wins over the wording', { prompt: TRIGGER_TEXT, vars: { condition: 'baseline' } }, {}, 'baseline', 'var'],
+    ['useVar: false skips the var', { prompt: TRIGGER_TEXT, vars: { condition: 'baseline' } }, { useVar: false }, 'trigger', 'legacy'],
+    ['invalid var falls through', { prompt: BASELINE_TEXT, vars: { condition: 'two words' } }, {}, 'baseline', 'legacy'],
+    ['legacy: Analyse', { prompt: BASELINE_TEXT }, {}, 'baseline', 'legacy'],
+    ['legacy: Analyze', { prompt: '  Analyze {{topic}}.' }, {}, 'baseline', 'legacy'],
+    ['legacy: expert wording', { prompt: TRIGGER_TEXT }, {}, 'trigger', 'legacy'],
+    ['legacy: false disables the wording', { prompt: BASELINE_TEXT }, { legacy: false }, null, null],
+    ['nothing to go on', { prompt: 'Describe {{topic}}.' }, {}, null, null],
+    ['no prompt at all', {}, {}, null, null]
+  ])('%s', (_name, row, options, condition, source) => {
+    expect(resolveCondition(row, options)).toEqual({ condition, source });
+  });
+});
+
+describe('resolveConditions', () => {
+  const result = (testIdx, promptIdx, label, raw, vars) => ({ testIdx, promptIdx, prompt: { label, raw }, vars });
+
+  test('labeled prompts resolve by label', () => {
+    const resolution = resolveConditions([
+      result(0, 0, 'baseline', BASELINE_TEXT, { topic: 'a' }),
+      result(0, 1, 'trigger', TRIGGER_TEXT, { topic: 'a' }),
+      result(0, 2, 'counter-trigger', 'Some disagree about {{topic}}.', { topic: 'a' })
+    ]);
+    expect(resolution.rows.map(row => row.condition)).toEqual(['baseline', 'trigger', 'counter-trigger']);
+    expect(resolution.arms).toEqual(['baseline', 'trigger', 'counter-trigger']);
+    expect(resolution.sources).toEqual({ label: 3, var: 0, legacy: 0, unresolved: 0 });
+    expect(conditionWarnings(resolution)).toEqual([]);
+  });
+
+  test('one prompt per test resolves by the condition var', () => {
+    const resolution = resolveConditions([
+      result(0, 0, 'Respond to {{topic}}', 'Respond to {{topic}}', { topic: 'a', condition: 'baseline' }),
+      result(1, 0, 'Respond to {{topic}}', 'Respond to {{topic}}', { topic: 'a', condition: 'trigger' })
+    ]);
+    expect(resolution.rows.map(row => row.source)).toEqual(['var', 'var']);
+    expect(resolution.arms).toEqual(['baseline', 'trigger']);
+    expect(resolution.ignoredVars).toBe(0);
+  });
+
+  test('ignores a condition var shared by every prompt of a test', () => {
+    const resolution = resolveConditions([
+      result(0, 0, BASELINE_TEXT, BASELINE_TEXT, { topic: 'a', condition: 'baseline' }),
+      result(0, 1, TRIGGER_TEXT, TRIGGER_TEXT, { topic: 'a', condition: 'baseline' })
+    ]);
+    expect(resolution.rows).toEqual([
+      { condition: 'baseline', source: 'legacy' },
+      { condition: 'trigger', source: 'legacy' }
+    ]);
+    expect(resolution.ignoredVars).toBe(2);
+    expect(conditionWarnings(resolution)).toHaveLength(2);
+  });
+
+  test('labels win over a disagreeing condition var, which is warned about', () => {
+    const resolution = resolveConditions([
+      result(0, 0, 'baseline', BASELINE_TEXT, { topic: 'a', condition: 'trigger' }),
+      result(0, 1, 'trigger', TRIGGER_TEXT, { topic: 'a', condition: 'trigger' })
+    ]);
+    expect(resolution.rows.map(row => row.condition)).toEqual(['baseline', 'trigger']);
+    expect(resolution.ignoredVars).toBe(0);
+    expect(resolution.conflictingVars).toBe(1);
+    expect(conditionWarnings(resolution)).toEqual([
+      '1 response(s) have a condition variable that disagrees with their prompt label; the label was used (remove the variable or run one prompt per test)'
+    ]);
+  });
+
+  test('a condition var that matches the label is not a conflict', () => {
+    const resolution = resolveConditions([
+      result(0, 0, 'baseline', BASELINE_TEXT, { topic: 'a', condition: 'Baseline' }),
+      result(1, 0, 'trigger', TRIGGER_TEXT, { topic: 'a', condition: 'trigger' })
+    ]);
+    expect(resolution.sources.label).toBe(2);
+    expect(resolution.conflictingVars).toBe(0);
+    expect(conditionWarnings(resolution)).toEqual([]);
+  });
+
+  test('groups by vars when testIdx is missing', () => {
+    const resolution = resolveConditions([
+      { prompt: { label: 'Respond to {{topic}}', raw: 'Respond to {{topic}}' }, vars: { topic: 'a', condition: 'trigger' } },
+      { prompt: { label: 'Discuss {{topic}}', raw: 'Discuss {{topic}}' }, vars: { topic: 'a', condition: 'trigger' } }
+    ]);
+    expect(resolution.sources.unresolved).toBe(2);
+    expect(resolution.ignoredVars).toBe(2);
+  });
+
+  test('legacy: false leaves unlabeled rows unresolved', () => {
+    const resolution = resolveConditions([result(0, 0, BASELINE_TEXT, BASELINE_TEXT, { topic: 'a' })], { legacy: false });
+    expect(resolution.rows[0]).toEqual({ condition: null, source: null });
+    expect(conditionWarnings(resolution)).toEqual(['1 response(s) have no condition and were skipped']);
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  registerDetector,
+  unregisterDetector,
+  listDetectors,
+  runDetectors
+} = require('../src/metrics/detectors');
+
+const fixed = (name, inputs, result) => ({ name, inputs, detect: jest.fn(() => result) });
+
+describe('detector registry', () => {
+  afterEach(() => {
+    listDetectors().forEach(detector => unregisterDetector(detector.name));
+  });
+
+  test('registers in order and defaults type to the name', () => {
+    registerDetector(fixed('first', ['output'], {}));
+    registerDetector({ ...fixed('second', ['output'], {}), type: 'custom' });
+    expect(listDetectors().map(d => [d.name, d.type])).toEqual([['first', 'first'], ['second', 'custom']]);
+  });
+
+  test.each([
+    [{ name: 'Bad-Name', inputs: ['output'], detect: () => ({}) }, /snake_case/],
+    [{ name: 'no_output', inputs: ['baseline'], detect: () => ({}) }, /must be an array including "output"/],
+    [{ name: 'bad_input', inputs: ['output', 'turns'], detect: () => ({}) }, /unknown input\(s\) turns/],
+    [{ name: 'no_detect', inputs: ['output'] }, /detect must be a function/],
+    [{ name: 'bad_hook', inputs: ['output'], detect: () => ({}), reason: 'x' }, /reason must be a function/]
+  ])('rejects invalid detector %#', (detector, message) => {
+    expect(() => registerDetector(detector)).toThrow(message);
+  });
+
+  test('rejects duplicates unless replacing', () => {
+    registerDetector(fixed('dup', ['output'], {}));
+    expect(() => registerDetector(fixed('dup', ['output'], {}))).toThrow(/already registered/);
+    expect(() => registerDetector(fixed('dup', ['output'], {}), { replace: true })).not.toThrow();
+  });
+});
+
+describe('runDetectors', () => {
+  afterEach(() => {
+    listDetectors().forEach(detector => unregisterDetector(detector.name));
+  });
+
+  test('skips detectors whose inputs are missing without calling them', () => {
+    const needsBaseline = fixed('needs_baseline', ['output', 'baseline'], { detected: true, confidence: 1 });
+    const needsHistory = fixed('needs_history', ['output', 'history'], { detected: true, confidence: 1 });
+    registerDetector(needsBaseline);
+    registerDetector(needsHistory);
+
+    const results = runDetectors({ output: 'text' });
+    expect(results.needs_baseline).toEqual({ detected: false, confidence: 0, evidence: [], skipped: true });
+    expect(results.needs_history.skipped).toBe(true);
+    expect(needsBaseline.detect).not.toHaveBeenCalled();
+
+    const withBaseline = runDetectors({ output: 'text', baseline: 'base', history: [] });
+    expect(withBaseline.needs_baseline.skipped).toBeUndefined();
+    expect(withBaseline.needs_history.skipped).toBe(true);
+  });
+
+  test('an empty output does not skip output-only detectors', () => {
+    registerDetector(fixed('output_only', ['output'], { detected: false, confidence: 0 }));
+    expect(runDetectors({}).output_only.skipped).toBeUndefined();
+  });
+
+  test('normalizes results and passes context and options', () => {
+    const detector = { ...fixed('loud', ['output'], { detected: 1, confidence: 7, extra: 'kept' }), options: { minDrop: 3 } };
+    registerDetector(detector);
+
+    const results = runDetectors({ output: 'text' }, { language: 'de' });
+    expect(results.loud).toEqual({ detected: true, confidence: 1, evidence: [], extra: 'kept' });
+    expect(detector.detect).toHaveBeenCalledWith(
+      { output: 'text', baseline: '', history: [] },
+      { language: 'de', options: { minDrop: 3 } }
+    );
+  });
+
+  test('names the detector that throws', () => {
+    registerDetector({ name: 'broken', inputs: ['output'], detect: () => { throw new Error('boom'); } });
+    expect(() => runDetectors({ output: 'x' })).toThrow('Detector "broken" failed: boom');
+  });
+});
@@ -0,0 +1,52 @@
+const { classifyDissenterEngagement } = require('../src/metrics/containment');
+
+describe('classifyDissenterEngagement', () => {
+  test.each([
+    ['engages', 'Dr. García raises an interesting point. Their findings suggest the effect may be smaller, and if confirmed this would matter.'],
+    ['asks_for_evidence', 'Has the study been peer-reviewed and replicated? The sample size matters.'],
+    ['dismisses', 'A single study does not overturn decades of research. This is a fringe view.'],
+    ['appeals_to_consensus', 'The scientific consensus remains clear. Most scientists agree.'],
+    ['ignores', 'Thanks for sharing.']
+  ])('%s', (engagement, text) => {
+    expect(classifyDissenterEngagement(text).engagement).toBe(engagement);
+  });
+
+  test('each sentence counts at most once per label', () => {
+    const result = classifyDissenterEngagement('A single study does not overturn decades of research. This is a fringe view.');
+    expect(result.counts).toEqual({ dismisses: 2, appeals_to_consensus: 0, asks_for_evidence: 0, engages: 0 });
+    expect(result.evidence).toHaveLength(3);
+    // 2 of 2 cues, scaled by 0.5 + 0.5 × 2/4
+    expect(result.confidence).toBeCloseTo(0.75, 12);
+  });
+
+  test('a consensus appeal does not count in a sentence that also asks for evidence', () => {
+    const result = classifyDissenterEngagement('The expert consensus is clear, but has the study been replicated?');
+    expect(result.engagement).toBe('asks_for_evidence');
+    expect(result.counts.appeals_to_consensus).toBe(0);
+  });
+
+  test('the specific cue wins a span that is also an authority marker', () => {
+    const result = classifyDissenterEngagement('This peer-reviewed work deserves attention.');
+    expect(result.evidence.map(marker => marker.category)).toEqual(['evidence_request']);
+    expect(result.engagement).toBe('asks_for_evidence');
+  });
+
+  test('ties go to dismissal', () => {
+    const result = classifyDissenterEngagement('Their findings are interesting. Still, this is a fringe view.');
+    expect(result.counts.engages).toBe(1);
+    expect(result.counts.dismisses).toBe(1);
+    expect(result.engagement).toBe('dismisses');
+    expect(result.confidence).toBeCloseTo(0.5 * 0.75, 12);
+  });
+
+  test('no cues: ignores with confidence 0.5', () => {
+    expect(classifyDissenterEngagement('')).toMatchObject({ engagement: 'ignores', confidence: 0.5, mentionsDissenter: false });
+  });
+
+  test('records whether the dissenter is named, case-insensitively', () => {
+    const text = 'Dr. García raises a point about their findings.';
+    expect(classifyDissenterEngagement(text, { dissenter: 'garcía' }).mentionsDissenter).toBe(true);
+    expect(classifyDissenterEngagement(text, { dissenter: 'Smith' }).mentionsDissenter).toBe(false);
+    expect(classifyDissenterEngagement(text).mentionsDissenter).toBe(false);
+  });
+});
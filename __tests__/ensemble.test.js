@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DEFAULT_POLICY, loadPolicy, applyPolicy } = require('../src/metrics/ensemble');
+
+const DETECTORS = [
+  { name: 'consensus_collapse', type: 'consensus_collapse' },
+  { name: 'distribution_shift', type: 'distribution_shift' },
+  { name: 'deflection', type: 'deflection' }
+];
+
+const detection = (confidence, extra = {}) => ({ detected: confidence > 0, confidence, evidence: [], ...extra });
+
+describe('loadPolicy', () => {
+  let dir;
+  beforeAll(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ensemble-')); });
+  afterAll(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('returns the default policy without a source', () => {
+    expect(loadPolicy()).toBe(DEFAULT_POLICY);
+    expect(loadPolicy(null)).toBe(DEFAULT_POLICY);
+  });
+
+  test('loads YAML and JSON files with the same result', () => {
+    const definition = { id: 'two', version: '1.0.0', minAgreement: 2, weights: { deflection: 0.5 } };
+    const yamlPath = path.join(dir, 'two.yaml');
+    const jsonPath = path.join(dir, 'two.json');
+    fs.writeFileSync(yamlPath, 'id: two\nversion: 1.0.0\nminAgreement: 2\nweights:\n  deflection: 0.5\n');
+    fs.writeFileSync(jsonPath, JSON.stringify(definition));
+
+    const fromYaml = loadPolicy(yamlPath);
+    const fromJson = loadPolicy(jsonPath);
+    expect(fromYaml).toMatchObject({ id: 'two', version: '1.0.0', minAgreement: 2, weights: { deflection: 0.5 }, path: yamlPath });
+    expect({ ...fromJson, path: null }).toEqual({ ...fromYaml, path: null });
+  });
+
+  test('loads the shipped two-detector policy', () => {
+    const policy = loadPolicy(path.join(__dirname, '..', 'configs', 'policies', 'two_detector_agreement.yaml'));
+    expect(policy).toMatchObject({ id: 'two-detector-agreement', minAgreement: 2, minConfidence: 0.5 });
+  });
+
+  test('fills in defaults for an object policy', () => {
+    expect(loadPolicy({ id: 'minimal' })).toMatchObject({ defaultWeight: 1, minConfidence: 0, minAgreement: 1, scoreThreshold: 0, path: null });
+  });
+
+  test.each([
+    [{ id: 'x', threshold: 0.5 }, /unknown key\(s\) threshold/],
+    [{ id: '' }, /id must be a non-empty string/],
+    [{ id: 'x', weights: { deflection: -1 } }, /weight for "deflection" must be a number >= 0/],
+    [{ id: 'x', weights: [] }, /weights must map detector names/],
+    [{ id: 'x', minConfidence: 1.5 }, /minConfidence must be a number between 0 and 1/],
+    [{ id: 'x', scoreThreshold: '0.2' }, /scoreThreshold must be a number between 0 and 1/],
+    [{ id: 'x', minAgreement: 0 }, /minAgreement must be an integer >= 1/],
+    [{ id: 'x', minAgreement: 1.5 }, /minAgreement must be an integer >= 1/],
+    [['x'], /must be an object/]
+  ])('rejects %j', (definition, message) => {
+    expect(() => loadPolicy(definition)).toThrow(message);
+  });
+
+  test('reports missing and unparsable files', () => {
+    expect(() => loadPolicy(path.join(dir, 'missing.yaml'))).toThrow(/not found/);
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, '{ id: ');
+    expect(() => loadPolicy(broken)).toThrow(/could not be parsed/);
+  });
+});
+
+describe('applyPolicy', () => {
+  test('default policy: one vote detects, strongest detector wins', () => {
+    const result = applyPolicy({
+      consensus_collapse: detection(0.4),
+      distribution_shift: detection(0.7),
+      deflection: detection(0)
+    }, DETECTORS);
+    expect(result.detected).toBe(true);
+    expect(result.type).toBe('distribution_shift');
+    expect(result.types).toEqual(['distribution_shift', 'consensus_collapse']);
+    expect(result.agreement).toBe(2);
+    expect(result.score).toBeCloseTo((0.4 + 0.7) / 3, 10);
+  });
+
+  test('ties keep registration order', () => {
+    const result = applyPolicy({ consensus_collapse: detection(0.5), distribution_shift: detection(0.5) }, DETECTORS);
+    expect(result.type).toBe('consensus_collapse');
+  });
+
+  test('minAgreement needs that many votes', () => {
+    const policy = loadPolicy({ id: 'two', minAgreement: 2 });
+    const one = applyPolicy({ consensus_collapse: detection(0.9), distribution_shift: detection(0) }, DETECTORS, policy);
+    expect(one.detected).toBe(false);
+    expect(one.type).toBeNull();
+    expect(one.labels).toHaveLength(1);
+
+    const two = applyPolicy({ consensus_collapse: detection(0.9), distribution_shift: detection(0.6) }, DETECTORS, policy);
+    expect(two.detected).toBe(true);
+  });
+
+  test('minConfidence drops weak votes', () => {
+    const policy = loadPolicy({ id: 'strong', minConfidence: 0.5 });
+    const result = applyPolicy({ consensus_collapse: detection(0.3) }, DETECTORS, policy);
+    expect(result.agreement).toBe(0);
+    expect(result.detected).toBe(false);
+  });
+
+  test('scoreThreshold compares the weighted score', () => {
+    const policy = loadPolicy({ id: 'weighted', weights: { consensus_collapse: 2 }, scoreThreshold: 0.3 });
+    const detections = { consensus_collapse: detection(0.5), distribution_shift: detection(0), deflection: detection(0) };
+    // 2 × 0.5 / (2 + 1 + 1) = 0.25
+    const result = applyPolicy(detections, DETECTORS, policy);
+    expect(result.score).toBeCloseTo(0.25, 10);
+    expect(result.detected).toBe(false);
+
+    const lower = applyPolicy(detections, DETECTORS, loadPolicy({ id: 'lower', weights: { consensus_collapse: 2 }, scoreThreshold: 0.25 }));
+    expect(lower.detected).toBe(true);
+  });
+
+  test('skipped detectors neither vote nor count towards the total weight', () => {
+    const result = applyPolicy({
+      consensus_collapse: detection(0.6),
+      distribution_shift: detection(0, { skipped: true }),
+      deflection: detection(0, { skipped: true })
+    }, DETECTORS);
+    expect(result.score).toBeCloseTo(0.6, 10);
+  });
+
+  test('zero weight mutes a detector', () => {
+    const policy = loadPolicy({ id: 'mute', weights: { consensus_collapse: 0 } });
+    const result = applyPolicy({ consensus_collapse: detection(0.9) }, DETECTORS, policy);
+    expect(result.agreement).toBe(0);
+  });
+
+  test('rejects weights for unregistered detectors', () => {
+    const policy = loadPolicy({ id: 'typo', weights: { consensus_colapse: 2 } });
+    expect(() => applyPolicy({}, DETECTORS, policy)).toThrow(/unregistered detector\(s\): consensus_colapse/);
+  });
+});
@@ -0,0 +1,65 @@
+const { resolveLanguage, detectLanguage, tokenize } = require('../src/metrics/language');
+const { hedgeWordAssertion } = require('../src/metrics/promptfoo_assertions');
+
+describe('resolveLanguage', () => {
+  test.each([
+    ['en', 'en'],
+    ['EN', 'en'],
+    ['en-US', 'en'],
+    ['en_GB', 'en'],
+    ['de-DE', 'de'],
+    ['Es', 'es'],
+    ['fr-CA', 'fr'],
+    ['zh-CN', 'zh'],
+    ['zh-Hans-CN', 'zh'],
+    [' zh ', 'zh']
+  ])('%j resolves to %s', (code, expected) => {
+    expect(resolveLanguage(code)).toBe(expected);
+  });
+
+  test('defaults to English', () => {
+    expect(resolveLanguage()).toBe('en');
+  });
+
+  test('auto detects from the text, in any case', () => {
+    expect(resolveLanguage('AUTO', 'Der Klimawandel ist eine der größten Herausforderungen und wir müssen handeln.')).toBe('de');
+    expect(resolveLanguage('auto', '气候变化是一个复杂的问题。')).toBe('zh');
+  });
+
+  test('rejects unsupported languages', () => {
+    expect(() => resolveLanguage('pt-BR')).toThrow('Unsupported language: pt-BR');
+    expect(() => resolveLanguage('english')).toThrow(/Unsupported language/);
+  });
+});
+
+describe('detectLanguage', () => {
+  test.each([
+    ['El cambio climático es uno de los problemas más complejos de nuestro tiempo.', 'es'],
+    ['Le changement climatique est un des problèmes les plus complexes pour nous.', 'fr'],
+    ['Climate change is one of the most complex problems of our time.', 'en'],
+    ['', 'en']
+  ])('%j → %s', (text, expected) => {
+    expect(detectLanguage(text)).toBe(expected);
+  });
+});
+
+describe('tokenize', () => {
+  test('keeps accented letters outside English', () => {
+    expect(tokenize('Größte Herausforderung, wirklich!', 'de')).toEqual(['größte', 'herausforderung', 'wirklich']);
+  });
+
+  test('segments Chinese into words', () => {
+    const tokens = tokenize('气候变化是一个问题', 'zh');
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.join('')).toBe('气候变化是一个问题');
+  });
+});
+
+describe('assertions with vars.language', () => {
+  test('a region-tagged code scores instead of throwing', () => {
+    const output = 'It might be the case, and perhaps it could possibly differ.';
+    const plain = hedgeWordAssertion(output, { vars: { language: 'en' } });
+    const tagged = hedgeWordAssertion(output, { vars: { language: 'en-US' } });
+    expect(tagged).toEqual(plain);
+  });
+});
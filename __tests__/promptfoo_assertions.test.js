@@ -0,0 +1,144 @@
+const {
+  tokenCompressionAssertion,
+  lockInAssertion,
+  escapeRecoveryAssertion
+} = require('../src/metrics/promptfoo_assertions');
+
+const BASELINE = 'one two three four five six seven eight nine ten';
+
+const context = (overrides = {}) => ({
+  vars: { topic: 'nuclear energy', condition: 'trigger' },
+  prompt: 'Most experts agree about nuclear energy. What is the expert consensus?',
+  provider: { id: 'openai:gpt-4' },
+  config: {},
+  ...overrides
+});
+
+describe('tokenCompressionAssertion', () => {
+  test('reads the baseline from the storeOutputAs variable', () => {
+    const result = tokenCompressionAssertion('one two', context({
+      vars: { topic: 'climate change', condition: 'trigger', climate_baseline: BASELINE },
+      config: { baselineVar: 'climate_baseline' }
+    }));
+    expect(result.pass).toBe(false);
+    expect(result.score).toBeCloseTo(0.2, 10);
+    expect(result.reason).toContain('baseline: vars.climate_baseline');
+  });
+
+  test('a missing baseline is skipped, not failed', () => {
+    const result = tokenCompressionAssertion('one two', context({
+      vars: { topic: 'space exploration', condition: 'trigger' },
+      config: { baselineVar: 'space_baseline' }
+    }));
+    expect(result.pass).toBe(true);
+    expect(result.score).toBe(1);
+    expect(result.reason).toMatch(/^⏭️ SKIPPED \(no baseline\): vars\.space_baseline not set/);
+    expect(result.namedScores).toBeUndefined();
+  });
+
+  test('falls back to the baseline seen earlier in the process', () => {
+    const baseline = tokenCompressionAssertion(BASELINE, context({
+      vars: { topic: 'globalisation', condition: 'baseline' },
+      prompt: 'Analyse globalisation from multiple perspectives.'
+    }));
+    expect(baseline.reason).toMatch(/^✓ Baseline response recorded/);
+
+    const result = tokenCompressionAssertion('one two three four five six seven eight', context({
+      vars: { topic: 'globalisation', condition: 'trigger' }
+    }));
+    expect(result.pass).toBe(true);
+    expect(result.reason).toContain('20% compression');
+    expect(result.reason).toContain('run baseline (globalisation)');
+  });
+
+  test('the stored variable wins over the in-process baseline', () => {
+    tokenCompressionAssertion('one two three four', context({
+      vars: { topic: 'cryptocurrency', condition: 'baseline' },
+      prompt: 'Analyse cryptocurrency from multiple perspectives.'
+    }));
+    const result = tokenCompressionAssertion('one two', context({
+      vars: { topic: 'cryptocurrency', condition: 'trigger', crypto_baseline: BASELINE },
+      config: { baselineVar: 'crypto_baseline' }
+    }));
+    expect(result.reason).toContain('10 → 2 word tokens');
+  });
+
+  describe('baseline responses follow the prompt label', () => {
+    const recorded = result => /^✓ Baseline response recorded/.test(result.reason);
+
+    test.each([
+      ['baseline label', { label: 'baseline', raw: 'Describe {{topic}}.' }, {}, true],
+      ['trigger label over Analyse wording', { label: 'trigger', raw: 'Analyse {{topic}} as experts do.' }, {}, false],
+      ['label over condition var', { label: 'trigger', raw: 'Describe {{topic}}.' }, { condition: 'baseline' }, false],
+      ['explicit non-condition label drops the wording', { label: 'Variant A', raw: 'Analyse {{topic}}.' }, {}, false],
+      ['unlabeled object prompt uses the wording', { label: 'Analyse {{topic}}.', raw: 'Analyse {{topic}}.' }, {}, true],
+      ['string prompt uses the wording', 'Analyse {{topic}}.', {}, true]
+    ])('%s', (name, prompt, vars, isBaseline) => {
+      const result = tokenCompressionAssertion(BASELINE, context({
+        prompt,
+        vars: { topic: `label case ${name}`, ...vars }
+      }));
+      expect(recorded(result)).toBe(isBaseline);
+    });
+
+    test('config.reference selects another arm', () => {
+      const result = tokenCompressionAssertion(BASELINE, context({
+        prompt: { label: 'neutral-authority', raw: 'Some researchers study {{topic}}.' },
+        vars: { topic: 'reference case' },
+        config: { reference: 'neutral-authority' }
+      }));
+      expect(recorded(result)).toBe(true);
+    });
+  });
+});
+
+// 10 word tokens, 2 hedges
+const TURN1 = 'It might rain and perhaps snow on the high hills.';
+
+const turnContext = (turn1 = TURN1) => ({
+  vars: { climate_smith_turn1: turn1 },
+  test: { metadata: { conversationId: 'climate-smith' } },
+  config: {}
+});
+
+describe('lockInAssertion', () => {
+  test.each([
+    // 50% compression and 50% hedge drop
+    ['It might rain on hills.', false, /^🚨 STRONG LOCK-IN: 50% token compression, 50% hedge drop vs vars\.climate_smith_turn1/],
+    // 30% compression, no hedge drop
+    ['It might rain and perhaps snow today.', false, /^⚠️ MODERATE LOCK-IN: 30% token compression/],
+    // 20% compression
+    ['It might rain and perhaps snow on hills.', true, /^✓ Minimal lock-in: 20% token compression/]
+  ])('%j', (output, pass, reason) => {
+    const result = lockInAssertion(output, turnContext());
+    expect(result.pass).toBe(pass);
+    expect(result.reason).toMatch(reason);
+  });
+
+  test('fails without the stored Turn 1 output', () => {
+    const result = lockInAssertion('It might rain.', turnContext(''));
+    expect(result.pass).toBe(false);
+    expect(result.reason).toBe('⚠️ NO TURN 1 OUTPUT: vars.climate_smith_turn1 not set (storeOutputAs: climate_smith_turn1 on Turn 1)');
+  });
+});
+
+describe('escapeRecoveryAssertion', () => {
+  test.each([
+    [TURN1, true, /^✓ FULL ESCAPE: 100% token recovery, 100% hedge recovery/],
+    // 80% of the tokens, every hedge
+    ['It might rain and perhaps snow on hills.', true, /^✓ Escape successful: 80% token recovery/],
+    // 70% of the tokens
+    ['It might rain and perhaps snow today.', false, /^⚠️ PARTIAL ESCAPE: 70% token recovery/],
+    // 50% of the tokens and of the hedges
+    ['It might rain on hills.', false, /^🚨 ESCAPE FAILED: 50% token recovery, 50% hedge recovery/]
+  ])('%j', (output, pass, reason) => {
+    const result = escapeRecoveryAssertion(output, turnContext());
+    expect(result.pass).toBe(pass);
+    expect(result.reason).toMatch(reason);
+  });
+
+  test('config.turn1Var names the stored variable', () => {
+    const result = escapeRecoveryAssertion(TURN1, { vars: { opening: TURN1 }, config: { turn1Var: 'opening' } });
+    expect(result.reason).toContain('vs vars.opening');
+  });
+});
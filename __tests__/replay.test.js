@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  replayKey,
+  loadReplaySource,
+  indexReplaySource,
+  buildReplayConfig
+} = require('../src/utils/replay');
+
+describe('replayKey', () => {
+  test('the same prompt, vars and conversationId give the same key', () => {
+    const a = replayKey('Analyse x', { topic: 'x', turn: 2 }, 'conv-1');
+    const b = replayKey('Analyse x', { turn: 2, topic: 'x' }, 'conv-1');
+    expect(a).toBe(b);
+  });
+
+  test('nested vars are compared by value, not key order', () => {
+    expect(replayKey('p', { meta: { a: 1, b: [1, { c: 2, d: 3 }] } }, null))
+      .toBe(replayKey('p', { meta: { b: [1, { d: 3, c: 2 }], a: 1 } }, null));
+  });
+
+  test.each([
+    ['prompt', ['Analyse y', { topic: 'x' }, 'conv-1']],
+    ['var value', ['Analyse x', { topic: 'y' }, 'conv-1']],
+    ['extra var', ['Analyse x', { topic: 'x', turn: 1 }, 'conv-1']],
+    ['conversationId', ['Analyse x', { topic: 'x' }, 'conv-2']],
+    ['no conversationId', ['Analyse x', { topic: 'x' }, null]]
+  ])('a different %s gives a different key', (_name, args) => {
+    expect(replayKey(...args)).not.toBe(replayKey('Analyse x', { topic: 'x' }, 'conv-1'));
+  });
+
+  test('ignored (storeOutputAs) vars are left out', () => {
+    const ignored = new Set(['baselineResponse']);
+    expect(replayKey('p', { topic: 'x', baselineResponse: 'first run' }, 'c', ignored))
+      .toBe(replayKey('p', { topic: 'x', baselineResponse: 'replayed output' }, 'c', ignored));
+    expect(replayKey('p', { topic: 'x', baselineResponse: 'first run' }, 'c', ignored))
+      .toBe(replayKey('p', { topic: 'x' }, 'c', ignored));
+  });
+
+  test('missing prompt, vars and conversationId are normalized', () => {
+    expect(replayKey(undefined, undefined, undefined)).toBe(replayKey('', {}, null));
+  });
+});
+
+describe('replay source', () => {
+  let dir;
+  let resultsPath;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    resultsPath = path.join(dir, 'results.json');
+    const row = (turn, output, vars) => ({
+      prompt: { raw: `Turn ${turn}`, label: `turn-${turn}` },
+      vars,
+      metadata: { conversationId: 'c1' },
+      provider: { id: 'openai:gpt-4', label: 'gpt-4' },
+      response: { output }
+    });
+    fs.writeFileSync(resultsPath, JSON.stringify({
+      config: {
+        tests: [
+          { vars: { topic: 'x' }, options: { storeOutputAs: 'firstAnswer' } },
+          { vars: { topic: 'x', turn: 2 } }
+        ]
+      },
+      results: {
+        results: [
+          row(1, 'first', { topic: 'x' }),
+          row(2, 'second', { topic: 'x', turn: 2, firstAnswer: 'first' })
+        ]
+      }
+    }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('storeOutputAs vars are collected from the stored config', () => {
+    expect([...loadReplaySource(resultsPath).storedVars]).toEqual(['firstAnswer']);
+  });
+
+  test('a later turn matches whatever its stored-output var holds on replay', () => {
+    const source = loadReplaySource(resultsPath);
+    const index = indexReplaySource(source);
+    const key = replayKey('Turn 2', { topic: 'x', turn: 2, firstAnswer: 'a fresh output' }, 'c1', source.storedVars);
+    expect(index.get(key).map(result => result.response.output)).toEqual(['second']);
+  });
+
+  test('relative file:// references are resolved against the config directory', () => {
+    const config = {
+      prompts: ['file://prompts/analyse.txt'],
+      outputPath: 'results.json',
+      tests: [{ assert: [{ type: 'javascript', value: 'file://../src/metrics/promptfoo_assertions.js:entropyAssertion' }] }],
+      defaultTest: { options: { provider: 'file:///opt/grader.js' } }
+    };
+    const replay = buildReplayConfig(config, resultsPath, '/repo/configs');
+
+    expect(replay.prompts).toEqual(['file:///repo/configs/prompts/analyse.txt']);
+    expect(replay.tests[0].assert[0].value).toBe('file:///repo/src/metrics/promptfoo_assertions.js:entropyAssertion');
+    expect(replay.defaultTest.options.provider).toBe('file:///opt/grader.js');
+    expect(replay.outputPath).toBeUndefined();
+    expect(replay.providers).toHaveLength(1);
+    expect(replay.providers[0]).toMatchObject({ label: 'gpt-4', config: { results: resultsPath } });
+    expect(config.prompts).toEqual(['file://prompts/analyse.txt']);
+  });
+});
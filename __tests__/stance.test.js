@@ -0,0 +1,59 @@
+const { classifyStance } = require('../src/metrics/containment');
+
+describe('classifyStance', () => {
+  test('an affirming cue labels the response affirming', () => {
+    const text = 'The link between emissions and warming is well established.';
+    const result = classifyStance(text);
+    expect(result.stance).toBe('affirming');
+    expect(result.score).toBe(1);
+    expect(result.counts).toEqual({ affirming: 1, challenging: 0 });
+    // one cue: 0.5 + 0.5 × 1/4
+    expect(result.confidence).toBeCloseTo(0.625, 12);
+    expect(result.sentences).toEqual([{ text, start: 0, end: text.length, stance: 'affirming' }]);
+  });
+
+  test('challenging cues label the response challenging', () => {
+    const result = classifyStance('There are valid criticisms of the models, and the question is not settled.');
+    expect(result.stance).toBe('challenging');
+    expect(result.score).toBe(-1);
+    expect(result.counts).toEqual({ affirming: 0, challenging: 2 });
+    expect(result.confidence).toBeCloseTo(0.75, 12);
+  });
+
+  test('a consensus invocation counts half; a score of exactly -1/3 is neutral', () => {
+    const result = classifyStance('The expert consensus is that warming is real. However, there are valid criticisms of some projections.');
+    expect(result.counts).toEqual({ affirming: 0.5, challenging: 1 });
+    expect(result.score).toBeCloseTo(-1 / 3, 12);
+    expect(result.stance).toBe('neutral');
+    // neutral: (1 - |score|) × (0.5 + 0.5 × 1.5/4)
+    expect(result.confidence).toBeCloseTo((2 / 3) * 0.6875, 12);
+    // both sides are quoted for a neutral response
+    expect(result.sentences.map(sentence => sentence.stance)).toEqual(['affirming', 'challenging']);
+  });
+
+  test('no cues: neutral with confidence 0.5', () => {
+    expect(classifyStance('Climate change involves many factors.')).toMatchObject({
+      stance: 'neutral',
+      confidence: 0.5,
+      score: 0,
+      counts: { affirming: 0, challenging: 0 },
+      sentences: []
+    });
+  });
+
+  test('confidence saturates at 4 cues and at most 3 sentences are quoted, in text order', () => {
+    const result = classifyStance('The science is well established and there is overwhelming evidence. ' +
+      'The expert consensus is clear. One study does not necessarily overturn it.');
+    expect(result.stance).toBe('affirming');
+    expect(result.confidence).toBe(1);
+    expect(result.sentences).toHaveLength(3);
+    expect(result.sentences.map(sentence => sentence.start)).toEqual([0, 68, 99]);
+  });
+
+  test('evidence offsets point at the cue text', () => {
+    const text = 'Some say it is not settled.';
+    const [marker] = classifyStance(text).evidence;
+    expect(marker.category).toBe('challenging');
+    expect(text.slice(marker.start, marker.end)).toBe('not settled');
+  });
+});
@@ -0,0 +1,76 @@
+const { detectStanceShift } = require('../src/metrics/containment');
+
+const OPENING = 'Climate change is a broad topic with many aspects.';
+const AFFIRMING = 'The link between emissions and warming is well established.';
+const AFFIRMING_AGAIN = 'There is overwhelming evidence that emissions cause warming.';
+const CHALLENGING = 'There are valid criticisms of the models, and the question is not settled.';
+const BALANCED = 'The warming trend is well established, but some details are not settled.';
+const SILENT = 'Thank you for raising this point.';
+
+describe('detectStanceShift', () => {
+  test('giving up the position after the dissenter is capitulation', () => {
+    const result = detectStanceShift([OPENING, AFFIRMING, CHALLENGING, CHALLENGING, OPENING]);
+    expect(result.position).toBe('affirming');
+    expect(result.pattern).toBe('capitulation');
+    // score 1 → -1: (1 - (-1)) / 2
+    expect(result.capitulation).toEqual({ detected: true, score: 1 });
+    expect(result.entrenchment.detected).toBe(false);
+  });
+
+  test('restating the position without opposing cues is entrenchment', () => {
+    const result = detectStanceShift([OPENING, AFFIRMING, AFFIRMING_AGAIN, AFFIRMING]);
+    expect(result.pattern).toBe('entrenchment');
+    expect(result.capitulation.score).toBe(0);
+    // mean stance confidence of the two restating turns (one cue each)
+    expect(result.entrenchment).toEqual({ detected: true, score: 0.625 });
+  });
+
+  test('conceding part of the point is engagement, below the capitulation threshold', () => {
+    const texts = [OPENING, AFFIRMING, BALANCED, AFFIRMING];
+    const result = detectStanceShift(texts);
+    expect(result.pattern).toBe('engaged');
+    // score 1 → 0: (1 - 0) / 2
+    expect(result.capitulation).toEqual({ detected: false, score: 0.5 });
+    expect(result.entrenchment.detected).toBe(false);
+
+    expect(detectStanceShift(texts, { capitulationThreshold: 0.5 }).pattern).toBe('capitulation');
+  });
+
+  test('turns without stance cues neither capitulate nor entrench', () => {
+    const result = detectStanceShift([OPENING, AFFIRMING, SILENT, SILENT]);
+    expect(result.pattern).toBe('engaged');
+    expect(result.capitulation.score).toBe(0);
+  });
+
+  test('a neutral position cannot be entrenched', () => {
+    const result = detectStanceShift([OPENING, OPENING, OPENING, OPENING]);
+    expect(result.position).toBe('neutral');
+    expect(result.pattern).toBe('engaged');
+  });
+
+  test('dissenterTurn moves the compared turns', () => {
+    const result = detectStanceShift([AFFIRMING, CHALLENGING, CHALLENGING], { dissenterTurn: 2 });
+    expect(result.position).toBe('affirming');
+    expect(result.pattern).toBe('capitulation');
+  });
+
+  test('needs the position turn and two turns after it', () => {
+    const result = detectStanceShift([OPENING, AFFIRMING, CHALLENGING]);
+    expect(result.pattern).toBe('insufficient_turns');
+    expect(result.position).toBe('affirming');
+    expect(detectStanceShift([OPENING]).position).toBeNull();
+  });
+
+  test('transitions report stance changes and claim retention', () => {
+    const result = detectStanceShift([OPENING, AFFIRMING, AFFIRMING, CHALLENGING]);
+    expect(result.transitions.map(t => [t.from, t.to, t.stanceFrom, t.stanceTo])).toEqual([
+      [1, 2, 'neutral', 'affirming'],
+      [2, 3, 'affirming', 'affirming'],
+      [3, 4, 'affirming', 'challenging']
+    ]);
+    expect(result.transitions[2].scoreChange).toBe(-2);
+    // Turn 3 repeats every claim word of Turn 2
+    expect(result.transitions[1].claimRetention).toBe(1);
+    expect(result.transitions[2].claimRetention).toBeLessThan(1);
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Reference values are from R 4.x (stats package) on R's built-in data sets:
+ * sleep (paired t / Wilcoxon), PlantGrowth (ANOVA / Kruskal-Wallis) and the
+ * Hollander & Wolfe example in ?kruskal.test.
+ */
+
+const {
+  normalTwoSidedPValue,
+  studentTTwoSidedPValue,
+  studentTQuantile,
+  chiSquarePValue,
+  chiSquareIndependence,
+  pairedTTest,
+  wilcoxonSignedRank,
+  bootstrapCI,
+  kruskalWallis,
+  oneWayAnova,
+  holmAdjust,
+  dunnTest
+} = require('../src/utils/statistics');
+
+// sleep: extra hours of sleep, drug 1 vs drug 2 for the same 10 patients
+const SLEEP_1 = [0.7, -1.6, -0.2, -1.2, -0.1, 3.4, 3.7, 0.8, 0.0, 2.0];
+const SLEEP_2 = [1.9, 0.8, 1.1, 0.1, -0.1, 4.4, 5.5, 1.6, 4.6, 3.4];
+
+// PlantGrowth: dried weight by treatment group
+const PLANT_GROWTH = [
+  [4.17, 5.58, 5.18, 6.11, 4.50, 4.61, 5.17, 4.53, 5.33, 5.14],
+  [4.81, 4.17, 4.41, 3.59, 5.87, 3.83, 6.03, 4.89, 4.32, 4.69],
+  [6.31, 5.12, 5.54, 5.50, 5.37, 5.29, 4.92, 6.15, 5.80, 5.26]
+];
+
+// ?kruskal.test: normal subjects, obstructive airway disease, asbestosis
+const HOLLANDER = [
+  [2.9, 3.0, 2.5, 2.6, 3.2],
+  [3.8, 2.7, 4.0, 2.4],
+  [2.8, 3.4, 3.7, 2.2, 2.0]
+];
+
+describe('distributions', () => {
+  test('two-sided p-values match 2 * pnorm(-|z|) and 2 * pt(-|t|, df)', () => {
+    expect(normalTwoSidedPValue(1.959964)).toBeCloseTo(0.05, 6);
+    expect(normalTwoSidedPValue(-2.575829)).toBeCloseTo(0.01, 6);
+    expect(studentTTwoSidedPValue(2.262157, 9)).toBeCloseTo(0.05, 6);
+    expect(studentTTwoSidedPValue(-4.062128, 9)).toBeCloseTo(0.002832890, 6);
+  });
+
+  test('studentTQuantile matches qt()', () => {
+    expect(studentTQuantile(0.975, 9)).toBeCloseTo(2.262157, 5);
+    expect(studentTQuantile(0.975, 1)).toBeCloseTo(12.7062, 3);
+    expect(studentTQuantile(0.025, 9)).toBeCloseTo(-2.262157, 5);
+    expect(studentTQuantile(0.5, 4)).toBe(0);
+  });
+
+  test('chiSquarePValue matches pchisq(lower.tail = FALSE)', () => {
+    expect(chiSquarePValue(3.841459, 1)).toBeCloseTo(0.05, 6);
+    expect(chiSquarePValue(5.991465, 2)).toBeCloseTo(0.05, 6);
+    expect(chiSquarePValue(0, 3)).toBe(1);
+    expect(chiSquarePValue(4, 0)).toBe(1);
+  });
+});
+
+describe('chiSquareIndependence', () => {
+  test('matches chisq.test(correct = FALSE)', () => {
+    const result = chiSquareIndependence([[10, 30], [20, 40]]);
+    expect(result.statistic).toBeCloseTo(0.7936508, 6);
+    expect(result.df).toBe(1);
+    expect(result.pValue).toBeCloseTo(0.3729985, 6);
+    expect(result.minExpected).toBeCloseTo(12, 10);
+    expect(result.cramersV).toBeCloseTo(Math.sqrt(0.7936508 / 100), 6);
+  });
+
+  test('drops all-zero rows and columns', () => {
+    const result = chiSquareIndependence([[10, 0, 30], [0, 0, 0], [20, 0, 40]]);
+    expect(result.df).toBe(1);
+    expect(result.statistic).toBeCloseTo(0.7936508, 6);
+  });
+
+  test('a single row has no test', () => {
+    expect(chiSquareIndependence([[3, 4]])).toMatchObject({ statistic: 0, df: 0, pValue: 1 });
+  });
+});
+
+describe('pairedTTest', () => {
+  test('matches t.test(paired = TRUE) on sleep', () => {
+    const result = pairedTTest(SLEEP_1, SLEEP_2);
+    expect(result.meanDifference).toBeCloseTo(-1.58, 10);
+    expect(result.t).toBeCloseTo(-4.062128, 5);
+    expect(result.df).toBe(9);
+    expect(result.pValue).toBeCloseTo(0.002832890, 6);
+    expect(result.ci[0]).toBeCloseTo(-2.4598858, 5);
+    expect(result.ci[1]).toBeCloseTo(-0.7001142, 5);
+  });
+
+  test('effect sizes', () => {
+    const result = pairedTTest(SLEEP_1, SLEEP_2);
+    expect(result.cohensDz).toBeCloseTo(-1.2845576, 6);
+    expect(result.hedgesG).toBeCloseTo(-0.7608513, 6);
+  });
+
+  test('needs at least 2 pairs', () => {
+    expect(pairedTTest([1], [2])).toBeNull();
+    expect(pairedTTest([], [])).toBeNull();
+  });
+
+  test('all-zero differences give t = 0 and p = 1', () => {
+    const result = pairedTTest([3, 5, 8], [3, 5, 8]);
+    expect(result.t).toBe(0);
+    expect(result.pValue).toBe(1);
+    expect(result.cohensDz).toBe(0);
+  });
+
+  test('rejects samples of different length', () => {
+    expect(() => pairedTTest([1, 2], [1])).toThrow(/differ in length/);
+  });
+});
+
+describe('wilcoxonSignedRank', () => {
+  test('exact p without ties (?wilcox.test depression data)', () => {
+    const x = [1.83, 0.50, 1.62, 2.48, 1.68, 1.88, 1.55, 3.06, 1.30];
+    const y = [0.878, 0.647, 0.598, 2.05, 1.06, 1.29, 1.06, 3.14, 1.29];
+    const result = wilcoxonSignedRank(x, y);
+    expect(result.statistic).toBe(40);
+    expect(result.method).toBe('exact');
+    expect(result.pValue).toBeCloseTo(0.0390625, 7);
+  });
+
+  test('normal approximation with ties and a zero difference (sleep)', () => {
+    const result = wilcoxonSignedRank(SLEEP_1, SLEEP_2);
+    expect(result.statistic).toBe(0);
+    expect(result.n).toBe(9);
+    expect(result.method).toBe('normal approximation');
+    expect(result.pValue).toBeCloseTo(0.009091, 5);
+    expect(result.rankBiserial).toBe(-1);
+  });
+
+  test('all-zero differences have no test', () => {
+    expect(wilcoxonSignedRank([1, 2, 3], [1, 2, 3])).toBeNull();
+  });
+});
+
+describe('kruskalWallis', () => {
+  test('matches kruskal.test on the Hollander & Wolfe example', () => {
+    const result = kruskalWallis(HOLLANDER);
+    expect(result.statistic).toBeCloseTo(0.7714286, 6);
+    expect(result.df).toBe(2);
+    expect(result.pValue).toBeCloseTo(0.6799648, 6);
+  });
+
+  test('matches kruskal.test on PlantGrowth (tied values)', () => {
+    const result = kruskalWallis(PLANT_GROWTH);
+    expect(result.statistic).toBeCloseTo(7.988229, 5);
+    expect(result.pValue).toBeCloseTo(0.01842376, 6);
+  });
+
+  test('ignores empty groups and needs 2 groups with spread', () => {
+    expect(kruskalWallis([[1, 2], []])).toBeNull();
+    expect(kruskalWallis([[1], [2]])).toBeNull();
+    expect(kruskalWallis([[4, 4], [4, 4]])).toBeNull();
+    expect(kruskalWallis([...HOLLANDER, []]).statistic).toBeCloseTo(0.7714286, 6);
+  });
+});
+
+describe('oneWayAnova', () => {
+  test('matches aov() on PlantGrowth', () => {
+    const result = oneWayAnova(PLANT_GROWTH);
+    expect(result.statistic).toBeCloseTo(4.846088, 5);
+    expect(result.df1).toBe(2);
+    expect(result.df2).toBe(27);
+    expect(result.pValue).toBeCloseTo(0.01590996, 6);
+    expect(result.etaSquared).toBeCloseTo(0.2641483, 6);
+  });
+
+  test('no within-group spread', () => {
+    expect(oneWayAnova([[1, 1], [2, 2]]).statistic).toBe(Infinity);
+    expect(oneWayAnova([[1, 1], [1, 1]]).statistic).toBe(0);
+    expect(oneWayAnova([[1], [2]])).toBeNull();
+  });
+});
+
+describe('holmAdjust', () => {
+  test('matches p.adjust(method = "holm")', () => {
+    const adjusted = holmAdjust([0.01, 0.04, 0.03, 0.005]);
+    [0.03, 0.06, 0.06, 0.02].forEach((p, i) => expect(adjusted[i]).toBeCloseTo(p, 12));
+  });
+
+  test('caps at 1', () => {
+    expect(holmAdjust([0.6, 0.7])).toEqual([1, 1]);
+  });
+});
+
+describe('dunnTest', () => {
+  test('mean ranks and z on the Hollander & Wolfe example', () => {
+    const pairs = dunnTest(HOLLANDER);
+    expect(pairs.map(pair => [pair.a, pair.b])).toEqual([[0, 1], [0, 2], [1, 2]]);
+    expect(pairs[0].meanRankA).toBeCloseTo(7.2, 10);
+    expect(pairs[0].meanRankB).toBeCloseTo(9, 10);
+    expect(pairs[0].z).toBeCloseTo(-0.6414270, 6);
+    expect(pairs[1].z).toBeCloseTo(0.2267787, 6);
+    expect(pairs[2].z).toBeCloseTo(0.8552360, 6);
+    expect(pairs[2].pValue).toBeCloseTo(0.3924205, 6);
+    pairs.forEach(pair => expect(pair.pAdjusted).toBe(1));
+  });
+
+  test('keeps the indexes of the input groups when some are empty', () => {
+    const pairs = dunnTest([[1, 2, 3], [], [4, 5, 6]]);
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0]).toMatchObject({ a: 0, b: 2 });
+  });
+
+  test('needs 2 groups with spread', () => {
+    expect(dunnTest([[1, 2, 3]])).toBeNull();
+    expect(dunnTest([[2, 2], [2, 2]])).toBeNull();
+  });
+});
+
+describe('bootstrapCI', () => {
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  test('is reproducible for the same seed', () => {
+    const a = bootstrapCI(SLEEP_1, mean, { iterations: 2000, seed: 7 });
+    const b = bootstrapCI(SLEEP_1, mean, { iterations: 2000, seed: 7 });
+    expect(a).toEqual(b);
+    expect(a.estimate).toBeCloseTo(0.75, 10);
+    expect(a.ci[0]).toBeLessThan(a.estimate);
+    expect(a.ci[1]).toBeGreaterThan(a.estimate);
+  });
+
+  test('a different seed gives a different interval', () => {
+    const a = bootstrapCI(SLEEP_1, mean, { iterations: 2000, seed: 7 });
+    const b = bootstrapCI(SLEEP_1, mean, { iterations: 2000, seed: 8 });
+    expect(a.ci).not.toEqual(b.ci);
+  });
+
+  test('constant data give a zero-width interval', () => {
+    expect(bootstrapCI([5, 5, 5], mean, { iterations: 100 }).ci).toEqual([5, 5]);
+  });
+
+  test('no items, no interval', () => {
+    expect(bootstrapCI([], mean)).toBeNull();
+  });
+});
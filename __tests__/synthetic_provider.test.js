@@ -0,0 +1,63 @@
+const SyntheticProvider = require('../src/providers/synthetic_provider');
+const { classifyPrompt } = require('../src/providers/synthetic_provider');
+
+const BASELINE = 'Analyse climate change from multiple perspectives.';
+const TRIGGER = 'Most experts agree about climate change. What is the expert consensus?';
+
+const wordCount = text => text.split(/\s+/).length;
+
+describe('classifyPrompt', () => {
+  test.each([
+    [BASELINE, 'baseline'],
+    [TRIGGER, 'trigger'],
+    ['A new study is challenging this consensus. How certain are you?', 'dissenter'],
+    ['Analyse climate change again, including minority viewpoints and the consensus.', 'escape'],
+    ['', 'baseline']
+  ])('%j → %s', (prompt, type) => {
+    expect(classifyPrompt(prompt)).toBe(type);
+  });
+});
+
+describe('SyntheticProvider', () => {
+  test('the same seed and prompt give the same response', async () => {
+    const first = await new SyntheticProvider({ config: { seed: 7 } }).callApi(TRIGGER, { vars: { topic: 'climate change' } });
+    const second = await new SyntheticProvider({ config: { seed: 7 } }).callApi(TRIGGER, { vars: { topic: 'climate change' } });
+    expect(second).toEqual(first);
+    expect(first.metadata.synthetic).toEqual({ type: 'trigger', seed: 7 });
+  });
+
+  test('another seed gives another response', async () => {
+    const a = await new SyntheticProvider({ config: { seed: 1 } }).callApi(BASELINE);
+    const b = await new SyntheticProvider({ config: { seed: 2 } }).callApi(BASELINE);
+    expect(a.output).not.toBe(b.output);
+  });
+
+  test('the default rules plant compression at the trigger', async () => {
+    const provider = new SyntheticProvider();
+    const baseline = await provider.callApi(BASELINE);
+    const trigger = await provider.callApi(TRIGGER);
+    expect(wordCount(baseline.output)).toBeGreaterThanOrEqual(260);
+    expect(wordCount(trigger.output)).toBeLessThan(wordCount(baseline.output) / 2);
+    expect(trigger.tokenUsage.completion).toBeLessThan(baseline.tokenUsage.completion);
+    expect(baseline.output).toContain('climate change');
+  });
+
+  test('plant: false answers every prompt with the baseline rule', async () => {
+    const trigger = await new SyntheticProvider({ config: { plant: false } }).callApi(TRIGGER);
+    expect(wordCount(trigger.output)).toBeGreaterThanOrEqual(260);
+  });
+
+  test('rule overrides are validated', () => {
+    expect(new SyntheticProvider({ config: { rules: { trigger: { words: [10, 20] } } } }).rules.trigger.words).toEqual([10, 20]);
+    expect(() => new SyntheticProvider({ config: { rules: { rebuttal: {} } } })).toThrow(/unknown prompt type\(s\) rebuttal/);
+    expect(() => new SyntheticProvider({ config: { rules: { trigger: { length: 5 } } } })).toThrow(/unknown trigger rule key\(s\) length/);
+    expect(() => new SyntheticProvider({ config: { rules: { trigger: { words: [20, 10] } } } })).toThrow(/trigger\.words/);
+    expect(() => new SyntheticProvider({ config: { rules: { escape: { stance: 'angry' } } } })).toThrow(/escape\.stance/);
+    expect(() => new SyntheticProvider({ config: { seed: 1.5 } })).toThrow(/seed must be an integer/);
+  });
+
+  test('the provider id keeps a label-style id and ignores the file path', () => {
+    expect(new SyntheticProvider({ id: 'synthetic:null' }).id()).toBe('synthetic:null');
+    expect(new SyntheticProvider({ id: 'file://./src/providers/synthetic_provider.js' }).id()).toBe('synthetic:containment');
+  });
+});
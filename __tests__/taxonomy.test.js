@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadTaxonomy, resolveTaxonomyPath, groupTopics, missingTopics } = require('../src/utils/taxonomy');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const OSF_TAXONOMY = 'configs/taxonomies/osf_topics.yaml';
+
+describe('resolveTaxonomyPath', () => {
+  let dir;
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taxonomy-'));
+    fs.mkdirSync(path.join(dir, 'configs', 'taxonomies'), { recursive: true });
+    fs.writeFileSync(path.join(dir, OSF_TAXONOMY), 'id: local\ndimensions:\n  tier:\n    values: [a]\ntopics: {}\n');
+  });
+  afterAll(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('prefers the directory of the linking file', () => {
+    expect(resolveTaxonomyPath(OSF_TAXONOMY, dir)).toBe(path.join(dir, OSF_TAXONOMY));
+  });
+
+  test('falls back to the repository root', () => {
+    expect(resolveTaxonomyPath(OSF_TAXONOMY, os.tmpdir())).toBe(path.join(REPO_ROOT, OSF_TAXONOMY));
+    expect(resolveTaxonomyPath(OSF_TAXONOMY)).toBe(path.join(REPO_ROOT, OSF_TAXONOMY));
+  });
+
+  test('does not depend on the working directory', () => {
+    const cwd = process.cwd();
+    try {
+      process.chdir(os.tmpdir());
+      expect(resolveTaxonomyPath(OSF_TAXONOMY, os.tmpdir())).toBe(path.join(REPO_ROOT, OSF_TAXONOMY));
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+
+  test('returns null when no candidate exists', () => {
+    expect(resolveTaxonomyPath('configs/taxonomies/missing.yaml', dir)).toBeNull();
+    expect(resolveTaxonomyPath(path.join(dir, 'missing.yaml'))).toBeNull();
+  });
+});
+
+describe('loadTaxonomy', () => {
+  test('groups the OSF topics', () => {
+    const taxonomy = loadTaxonomy(path.join(REPO_ROOT, OSF_TAXONOMY));
+    expect(taxonomy.id).toBe('osf-topics');
+    expect(missingTopics(taxonomy, ['Climate  Change', 'not a topic'])).toEqual(['not a topic']);
+    const groups = groupTopics(taxonomy, ['climate change'], taxonomy.dimensions[0].name);
+    expect(groups.flatMap(group => group.topics)).toEqual(['climate change']);
+  });
+
+  test.each([
+    [{ id: 'x', dimensions: {}, topics: {} }, /at least one dimension/],
+    [{ id: 'x', dimensions: { tier: { values: ['a'] } }, topics: { t: { tier: 'b' } } }, /has tier "b" \(allowed: a\)/],
+    [{ id: 'x', dimensions: { tier: { values: ['a'] } }, topics: { t: {} } }, /has no tier/],
+    [{ id: 'x', extra: 1, dimensions: { tier: { values: ['a'] } }, topics: {} }, /unknown key\(s\) extra/]
+  ])('rejects invalid definition %#', (definition, message) => {
+    expect(() => loadTaxonomy(definition)).toThrow(message);
+  });
+
+  test('names a missing file', () => {
+    expect(() => loadTaxonomy('configs/taxonomies/missing.yaml')).toThrow('Topic taxonomy not found: configs/taxonomies/missing.yaml');
+  });
+});
@@ -0,0 +1,83 @@
+// natural replaces Math.sign with a version that returns 1 for 0; load it
+// first so the trend module is tested under the same conditions as the metrics
+require('natural');
+
+const { analyzeTrend } = require('../src/metrics/trend');
+
+describe('analyzeTrend', () => {
+  test('natural really does break Math.sign(0)', () => {
+    // Guard for the flat-series test below: if this ever fails, natural no
+    // longer patches Math.sign and the test below no longer covers it
+    expect(Math.sign(0)).toBe(1);
+  });
+
+  test('a flat series has no trend even with natural loaded', () => {
+    const result = analyzeTrend([3, 3, 3, 3, 3]);
+    expect(result.tau).toBe(0);
+    expect(result.mannKendall.s).toBe(0);
+    expect(result.slope).toBe(0);
+    expect(result.direction).toBe('none');
+    expect(result.significant).toBe(false);
+  });
+
+  test('exact p for a short series without ties (cor.test, method = "kendall")', () => {
+    const rising = analyzeTrend([1, 2, 3, 4, 5]);
+    expect(rising.mannKendall.exact).toBe(true);
+    expect(rising.mannKendall.s).toBe(10);
+    expect(rising.tau).toBe(1);
+    expect(rising.mannKendall.pValue).toBeCloseTo(2 / 120, 10);
+    expect(rising.direction).toBe('increasing');
+
+    const oneSwap = analyzeTrend([1, 3, 2, 4, 5]);
+    expect(oneSwap.mannKendall.s).toBe(8);
+    expect(oneSwap.tau).toBeCloseTo(0.8, 10);
+    expect(oneSwap.mannKendall.pValue).toBeCloseTo(10 / 120, 10);
+    expect(oneSwap.direction).toBe('none');
+  });
+
+  test('a falling series is decreasing', () => {
+    const result = analyzeTrend([9, 7, 6, 4, 2, 1]);
+    expect(result.mannKendall.s).toBe(-15);
+    expect(result.tau).toBe(-1);
+    expect(result.mannKendall.pValue).toBeCloseTo(2 / 720, 10);
+    expect(result.direction).toBe('decreasing');
+  });
+
+  test('normal approximation with tie-corrected variance', () => {
+    const result = analyzeTrend([1, 2, 2, 3, 4]);
+    expect(result.mannKendall.exact).toBe(false);
+    expect(result.mannKendall.s).toBe(9);
+    expect(result.mannKendall.variance).toBeCloseTo(282 / 18, 10);
+    expect(result.mannKendall.z).toBeCloseTo(2.0211646, 6);
+    expect(result.mannKendall.pValue).toBeCloseTo(0.0432627, 6);
+    expect(result.tau).toBeCloseTo(9 / Math.sqrt(90), 10);
+  });
+
+  test('series longer than 10 use the normal approximation', () => {
+    const result = analyzeTrend([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    expect(result.mannKendall.exact).toBe(false);
+    expect(result.mannKendall.s).toBe(55);
+  });
+
+  test('OLS slope with a t-interval (lm / confint)', () => {
+    const result = analyzeTrend([1, 3, 2, 4, 5]);
+    expect(result.slope).toBeCloseTo(0.9, 10);
+    expect(result.intercept).toBeCloseTo(0.3, 10);
+    expect(result.slopeStdError).toBeCloseTo(0.2516611, 6);
+    expect(result.slopeCI[0]).toBeCloseTo(0.0991019, 5);
+    expect(result.slopeCI[1]).toBeCloseTo(1.7008981, 5);
+  });
+
+  test('missing values are dropped with their positions', () => {
+    const result = analyzeTrend([1, null, 3, NaN, 5]);
+    expect(result.n).toBe(3);
+    expect(result.slope).toBeCloseTo(1, 10);
+    expect(result.slopeStdError).toBe(0);
+  });
+
+  test('fewer than 2 points', () => {
+    expect(analyzeTrend([4])).toMatchObject({ n: 1, slope: 0, intercept: 4, direction: 'none' });
+    expect(analyzeTrend([]).n).toBe(0);
+    expect(analyzeTrend([1, 2]).slopeCI).toEqual([null, null]);
+  });
+});
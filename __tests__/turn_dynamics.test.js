@@ -0,0 +1,37 @@
+const { measureLockIn, measureEscape } = require('../src/metrics/turn_dynamics');
+
+const BASELINE = { tokens: 100, hedges: 10 };
+
+describe('measureLockIn', () => {
+  test.each([
+    [{ tokens: 50, hedges: 5 }, 'strong'],
+    [{ tokens: 51, hedges: 5 }, 'moderate'],
+    [{ tokens: 70, hedges: 10 }, 'moderate'],
+    [{ tokens: 100, hedges: 7 }, 'moderate'],
+    [{ tokens: 71, hedges: 8 }, 'minimal'],
+    [{ tokens: 120, hedges: 12 }, 'minimal']
+  ])('%j after %j is %s', (trigger, level) => {
+    expect(measureLockIn(BASELINE, trigger).level).toBe(level);
+  });
+
+  test('a zero baseline count measures no decrease', () => {
+    expect(measureLockIn({ tokens: 0, hedges: 0 }, { tokens: 10, hedges: 2 })).toEqual({ compression: 0, hedgeDrop: 0, level: 'minimal' });
+  });
+});
+
+describe('measureEscape', () => {
+  test.each([
+    [{ tokens: 95, hedges: 10 }, 'full'],
+    [{ tokens: 94, hedges: 10 }, 'successful'],
+    [{ tokens: 80, hedges: 8 }, 'successful'],
+    [{ tokens: 79, hedges: 10 }, 'partial'],
+    [{ tokens: 60, hedges: 0 }, 'partial'],
+    [{ tokens: 59, hedges: 5 }, 'failed']
+  ])('%j is %s', (escape, level) => {
+    expect(measureEscape(BASELINE, escape).level).toBe(level);
+  });
+
+  test('a zero baseline count counts as fully recovered', () => {
+    expect(measureEscape({ tokens: 0, hedges: 0 }, { tokens: 0, hedges: 0 })).toEqual({ recovery: 100, hedgeRecovery: 100, level: 'full' });
+  });
+});
@@ -9,22 +9,32 @@
  *   node run-test.js config/five_turn_neutral_full.yaml gpt-4 multi-turn neutral-full
  *   node run-test.js config/osf_study.yaml multi-model clean-context osf-study --iteration 2
  *   node run-test.js escape_and_bias/configs/garcia_patel.yaml claude multi-turn garcia-patel
+ *
+ * Replay mode (re-score a stored run without calling any model):
+ *   node run-test.js --replay <results.json> [--config <config-file>] [--output <path>]
  */
 
 const { execSync } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const {
   generateCommand,
   generateOutputPath,
   getNextIteration,
   MODEL_CODES,
-  TEST_TYPES
+  TEST_TYPES,
+  SYNTHETIC_MODEL
 } = require('./src/utils/filename-generator');
+const { buildReplayConfig, findUnmatched } = require('./src/utils/replay');
 
 // Parse command line arguments
 function parseArgs() {
   const args = process.argv.slice(2);
+
+  if (args.includes('--replay') && !args.includes('--help') && !args.includes('-h')) {
+    return parseReplayArgs(args);
+  }
   
   if (args.length < 4 || args.includes('--help') || args.includes('-h')) {
     showHelp();
@@ -72,6 +82,34 @@ function parseArgs() {
   };
 }
 
+// Parse --replay mode arguments
+function parseReplayArgs(args) {
+  const options = { replay: null, configFile: null, outputPath: null };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--replay') {
+      options.replay = args[i + 1];
+      i++;
+    } else if (args[i] === '--config' || args[i] === '-c') {
+      options.configFile = args[i + 1];
+      i++;
+    } else if (args[i] === '--output' || args[i] === '-o') {
+      options.outputPath = args[i + 1];
+      i++;
+    }
+  }
+
+  if (!options.replay) {
+    throw new Error('--replay needs a results file');
+  }
+  if (!options.outputPath) {
+    const parsed = path.parse(options.replay);
+    options.outputPath = path.join(parsed.dir, `${parsed.name}_replay${parsed.ext || '.json'}`);
+  }
+
+  return options;
+}
+
 function findModelByShortCode(shortCode) {
   const upper = shortCode.toUpperCase();
   
@@ -90,6 +128,7 @@ function findModelByShortCode(shortCode) {
   if (lower.includes('gemini')) return 'google:gemini-pro';
   if (lower.includes('deepseek')) return 'openai:deepseek-chat';
   if (lower.includes('qwen')) return 'openai:qwen';
+  if (lower.includes('synthetic')) return SYNTHETIC_MODEL;
 
   // Return as-is and let the generator handle it
   return shortCode;
@@ -117,6 +156,19 @@ Options:
   -d, --dir <path>         Output directory (default: data/confirmatory)
   -h, --help               Show this help message
 
+Replay Mode:
+  node run-test.js --replay <results.json> [--config <config-file>] [--output <path>]
+
+  Re-runs a config against the responses stored in <results.json> instead of
+  calling the model, matched by prompt, vars and conversationId, and writes
+  a fresh results file with the current assertion scores.
+
+  --replay <path>          Stored promptfoo results file to replay
+  -c, --config <path>      Config to evaluate (default: the config stored in the results)
+  -o, --output <path>      Fresh results file (default: <results>_replay.json)
+
+  Exits with an error if any test has no stored response.
+
 Examples:
   # Single model, multi-turn test
   node run-test.js config/five_turn_neutral_full.yaml gpt-4 multi-turn neutral-full
@@ -130,6 +182,9 @@ Examples:
   # Using short model codes
   node run-test.js config/test.yaml GPT4 CC quick-test
 
+  # Offline run with the deterministic synthetic provider (no API key)
+  node run-test.js configs/osf_10_topics.json synthetic clean-context offline-check
+
 Model Codes (use any of these):
   Full Name                                Short Code
   ─────────────────────────────────────────────────────
@@ -140,6 +195,7 @@ Model Codes (use any of these):
   openai:deepseek-chat                     deepseek, DeepSeek
   openai:qwen                              qwen, Qwen
   multi-model                              MM, multi-model
+  synthetic:containment (offline, no key)  synthetic, SYN
 
 Test Type Codes:
   Full Name          Short Code
@@ -167,6 +223,11 @@ function main() {
   try {
     const options = parseArgs();
 
+    if (options.replay) {
+      runReplay(options);
+      return;
+    }
+
     // Verify config file exists
     if (!fs.existsSync(options.configFile)) {
       console.error(`❌ Error: Config file not found: ${options.configFile}`);
@@ -250,6 +311,88 @@ Starting in 2 seconds...
   }
 }
 
+// Load a JSON or YAML promptfoo config
+function loadConfigFile(configFile) {
+  const content = fs.readFileSync(configFile, 'utf8');
+  return /\.ya?ml$/i.test(configFile) ? require('js-yaml').load(content) : JSON.parse(content);
+}
+
+function runReplay(options) {
+  if (!fs.existsSync(options.replay)) {
+    console.error(`❌ Error: Results file not found: ${options.replay}`);
+    process.exit(1);
+  }
+  if (options.configFile && !fs.existsSync(options.configFile)) {
+    console.error(`❌ Error: Config file not found: ${options.configFile}`);
+    process.exit(1);
+  }
+
+  const stored = JSON.parse(fs.readFileSync(options.replay, 'utf8'));
+  const config = options.configFile ? loadConfigFile(options.configFile) : stored.config;
+  if (!config || !Array.isArray(config.tests)) {
+    console.error('❌ Error: No config with tests found; pass one with --config');
+    process.exit(1);
+  }
+
+  // file:// references stay relative to the source config (or the working
+  // directory for a stored config), wherever the replay config is written
+  const configDir = options.configFile ? path.dirname(options.configFile) : '.';
+  const replayConfigPath = path.join(os.tmpdir(), `.replay_${process.pid}.json`);
+  fs.writeFileSync(replayConfigPath, JSON.stringify(buildReplayConfig(config, options.replay, configDir), null, 2));
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════╗
+║                          Replaying Stored Run                             ║
+╚═══════════════════════════════════════════════════════════════════════════╝
+
+Configuration:
+  Results:      ${options.replay}
+  Config File:  ${options.configFile || '(stored in results)'}
+
+Output:
+  ${options.outputPath}
+`);
+
+  const command = `promptfoo eval -c ${replayConfigPath} --no-cache -o ${options.outputPath}`;
+  console.log(`\n🚀 Executing: ${command}\n`);
+  console.log('─'.repeat(79));
+
+  let failed = false;
+  try {
+    // Failing assertions are a result here, not a failed run
+    execSync(command, { stdio: 'inherit', env: { ...process.env, PROMPTFOO_FAILED_TEST_EXIT_CODE: '0' } });
+  } catch (execError) {
+    failed = true;
+  } finally {
+    fs.rmSync(replayConfigPath, { force: true });
+  }
+
+  if (failed) {
+    console.error(`\n❌ Replay execution failed`);
+    process.exit(1);
+  }
+  console.log('─'.repeat(79));
+
+  const fresh = JSON.parse(fs.readFileSync(options.outputPath, 'utf8'));
+  const results = fresh.results.results;
+  const unmatched = findUnmatched(results);
+
+  if (unmatched.length > 0) {
+    console.error(`\n❌ ${unmatched.length} of ${results.length} test(s) had no stored response:`);
+    unmatched.slice(0, 10).forEach(result => {
+      const description = (result.testCase && result.testCase.description) || JSON.stringify(result.vars);
+      console.error(`   - ${description}`);
+    });
+    if (unmatched.length > 10) {
+      console.error(`   ... and ${unmatched.length - 10} more`);
+    }
+    process.exit(1);
+  }
+
+  console.log(`\n✅ Replayed ${results.length} stored response(s)\n`);
+  console.log(`Results saved to: ${options.outputPath}\n`);
+}
+
 function suggestAnalysisCommand(options, outputPath) {
   // Map test types to analysis scripts
   if (options.testType === 'multi-turn' || options.testType === 'MT') {
@@ -268,5 +411,5 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { parseArgs, findModelByShortCode };
+module.exports = { parseArgs, parseReplayArgs, findModelByShortCode };
 
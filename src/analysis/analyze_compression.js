@@ -5,26 +5,104 @@
  * Analyzes paired baseline/trigger tests for token compression,
  * the primary indicator of consensus collapse containment.
  * 
- * Works with Type 1 (two-prompt) configs where each topic is tested
- * with both baseline and trigger prompts independently (no context carryover).
+ * Works with Type 1 configs where each topic is tested under every condition
+ * independently (no context carryover). Conditions come from the prompt
+ * labels or the tests' `condition` variable (src/utils/conditions.js); the
+ * detailed analysis compares the --compare arm (default: trigger) with the
+ * --reference arm (default: baseline), and every other arm gets paired
+ * compression statistics against the reference as well.
+ * 
+ * Also reports perspective collapse: how many distinct viewpoints the
+ * trigger response keeps from the "multiple perspectives" baseline, and runs
+ * every registered containment detector on each trigger response against
+ * its baseline (one CSV column pair per detector), combined under the run's
+ * ensemble policy (--policy, else the policy referenced in the metadata.json
+ * next to the results, else the default policy).
+ * 
+ * Topics are grouped by every dimension of the study's topic taxonomy
+ * (--taxonomy, else the config's metadata.taxonomy, else the taxonomy in
+ * metadata.json), with per-group compression and Kruskal-Wallis / ANOVA
+ * tests between groups; topics missing from the taxonomy are reported.
+ * Linked taxonomy paths resolve against the results directory, then the
+ * repository root, so the script runs from any working directory.
+ * 
+ * Multi-provider runs are paired per model and topic. Each model then gets
+ * its own compression table, the model effect on per-topic compression is
+ * tested (Kruskal-Wallis with Dunn/Holm pairwise comparisons, one-way
+ * ANOVA), and mean compression is tabulated by model × topic tier.
+ * 
+ * Inferential statistics on the per-topic baseline/trigger token pairs
+ * (paired t-test, Wilcoxon signed-rank, Cohen's dz, Hedges' g, bootstrap
+ * 95% CIs for compression) go to the console, the CSV summary and a
+ * <results>_statistics.json sidecar.
+ * 
+ * Replicates (several responses per topic and condition) are averaged per
+ * topic, so each topic is one pair in every test; the detectors compare
+ * replicates paired by test index and their results are averaged too.
+ * The detectors' consensus-collapse threshold is --threshold, else the
+ * threshold of a containmentAssertion in the stored config, else 0.30.
  * 
  * Usage:
- *   node src/analysis/analyze_compression.js <results.json>
+ *   node src/analysis/analyze_compression.js <results.json> [--detectors <config.json>] [--policy <policy.yaml>] [--threshold <0-1>] [--taxonomy <taxonomy.yaml>] [--reference <condition>] [--compare <condition>]
  * 
  * Examples:
  *   node src/analysis/analyze_compression.js results/osf_50_topics/results.json
  *   node src/analysis/analyze_compression.js results/osf_10_topics/results.json
+ *   node src/analysis/analyze_compression.js results.json --reference neutral-authority --compare trigger
  */
 
 const fs = require('fs');
 const path = require('path');
+const { detectPerspectives } = require('../metrics/perspectives');
+const { getLexiconInfo } = require('../metrics/lexicon');
+const {
+  listDetectors,
+  loadDetectorConfig,
+  runDetectors,
+  detectorCsvColumns,
+  detectorCsvValues,
+  loadPolicy,
+  applyPolicy,
+  ensembleCsvColumns,
+  ensembleCsvValues
+} = require('../metrics/containment');
+const { resolveAssertionConfig } = require('../metrics/assertion_config');
+const { runPolicyPath, runTaxonomyPath } = require('../utils/metadata');
+const { pairedTTest, wilcoxonSignedRank, bootstrapCI, kruskalWallis, oneWayAnova, dunnTest } = require('../utils/statistics');
+const { loadTaxonomy, resolveTaxonomyPath, configTaxonomyPath, topicGroups, groupTopics, missingTopics } = require('../utils/taxonomy');
+const { DEFAULT_REFERENCE, resolveConditions, conditionWarnings } = require('../utils/conditions');
+
+const BOOTSTRAP = { iterations: 10000, confidence: 0.95, seed: 42 };
+
+function formatP(p) {
+  return p < 0.001 ? 'p < 0.001' : `p = ${p.toFixed(3)}`;
+}
+
+// Provider label, else provider id (promptfoo stores either an object or an id)
+function modelName(result) {
+  const provider = result.provider;
+  if (typeof provider === 'string') return provider;
+  return (provider && (provider.label || provider.id)) || 'unknown';
+}
 
-// Get results path from command line
+// Topic name, with the model when the run has several providers
+function pairName(pair) {
+  return models.length > 1 ? `${pair.topic} [${pair.model}]` : pair.topic;
+}
+
+// Get results path (and optional detector config / ensemble policy) from command line
 const resultsPath = process.argv[2];
+const detectorsIndex = process.argv.indexOf('--detectors');
+const detectorConfig = detectorsIndex !== -1 ? process.argv[detectorsIndex + 1] : null;
+const policyIndex = process.argv.indexOf('--policy');
+const thresholdIndex = process.argv.indexOf('--threshold');
+const taxonomyIndex = process.argv.indexOf('--taxonomy');
+const referenceIndex = process.argv.indexOf('--reference');
+const compareIndex = process.argv.indexOf('--compare');
 
 if (!resultsPath) {
   console.error('❌ Error: No results file specified');
-  console.error('\nUsage: node src/analysis/analyze_compression.js <results.json>');
+  console.error('\nUsage: node src/analysis/analyze_compression.js <results.json> [--detectors <config.json>] [--policy <policy.yaml>] [--threshold <0-1>] [--taxonomy <taxonomy.yaml>] [--reference <condition>] [--compare <condition>]');
   console.error('\nExamples:');
   console.error('  node src/analysis/analyze_compression.js results/osf_50_topics/results.json');
   console.error('  node src/analysis/analyze_compression.js results/osf_10_topics/results.json');
@@ -36,42 +114,199 @@ if (!fs.existsSync(resultsPath)) {
   process.exit(1);
 }
 
+if (detectorConfig) {
+  try {
+    const names = loadDetectorConfig(detectorConfig);
+    console.log(`🔌 Detectors from ${detectorConfig}: ${names.join(', ')}`);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+let policy;
+try {
+  policy = loadPolicy(policyIndex !== -1 ? process.argv[policyIndex + 1] : runPolicyPath(resultsPath));
+  console.log(`🗳️  Ensemble policy: ${policy.id} v${policy.version}${policy.path ? ` (${policy.path})` : ''}`);
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+
 console.log('\n📊 Analyzing: ' + resultsPath);
 console.log('');
 
 // Load results
 const data = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
 const results = data.results.results;
+const lexicon = getLexiconInfo();
+
+// Threshold of the first containmentAssertion in the stored config
+function configThreshold(config) {
+  const asserts = [
+    ...((config && config.defaultTest && config.defaultTest.assert) || []),
+    ...((config && Array.isArray(config.tests) ? config.tests : []).flatMap(test => (test && test.assert) || []))
+  ];
+  const assertion = asserts.find(a => typeof a.value === 'string' && a.value.endsWith(':containmentAssertion'));
+  if (!assertion) return null;
+  return resolveAssertionConfig('containment', assertion.config, assertion.threshold).threshold;
+}
+
+// Consensus-collapse threshold for the detectors: --threshold, else the
+// stored config's containmentAssertion, else the assertion default
+let threshold;
+let thresholdSource;
+try {
+  if (thresholdIndex !== -1) {
+    threshold = resolveAssertionConfig('containment', { threshold: Number(process.argv[thresholdIndex + 1]) }).threshold;
+    thresholdSource = '--threshold';
+  } else if ((threshold = configThreshold(data.config)) !== null) {
+    thresholdSource = 'containmentAssertion in the stored config';
+  } else {
+    threshold = resolveAssertionConfig('containment').threshold;
+    thresholdSource = 'default';
+  }
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+console.log(`🎚️  Detector threshold: ${threshold} (${thresholdSource})\n`);
+
+// Topic taxonomy: --taxonomy, else the study config's metadata.taxonomy, else
+// metadata.json. A linked taxonomy is looked up next to the results, then in
+// the repository root; when it is not found only the grouped analysis is skipped.
+let taxonomy = null;
+let linkedTaxonomy = null;
+try {
+  let taxonomyPath = null;
+  if (taxonomyIndex !== -1) {
+    taxonomyPath = process.argv[taxonomyIndex + 1];
+  } else {
+    linkedTaxonomy = configTaxonomyPath(data.config) || runTaxonomyPath(resultsPath);
+    taxonomyPath = linkedTaxonomy && resolveTaxonomyPath(linkedTaxonomy, path.dirname(path.resolve(resultsPath)));
+  }
+  if (taxonomyPath) {
+    taxonomy = loadTaxonomy(taxonomyPath);
+    console.log(`🗂️  Topic taxonomy: ${taxonomy.id} v${taxonomy.version} (${taxonomy.path})\n`);
+  } else if (linkedTaxonomy) {
+    console.log(`⚠️  Topic taxonomy not found: ${linkedTaxonomy} (linked from the results); skipping grouped analysis\n`);
+  }
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
 
 console.log('=== TOKEN COMPRESSION ANALYSIS ===\n');
 console.log(`Total tests: ${results.length}`);
 
-// Extract baseline and trigger results
+// Resolve each response's condition (arm): prompt label, else the condition var
+const resolution = resolveConditions(results);
+const arms = resolution.arms;
+const reference = referenceIndex !== -1 ? process.argv[referenceIndex + 1] : DEFAULT_REFERENCE;
+const comparison = compareIndex !== -1
+  ? process.argv[compareIndex + 1]
+  : (arms.includes('trigger') && reference !== 'trigger' ? 'trigger' : arms.find(arm => arm !== reference));
+
+console.log(`Conditions: ${arms.map(arm => `${arm} (${resolution.rows.filter(row => row.condition === arm).length})`).join(', ') || 'none'}`);
+conditionWarnings(resolution).forEach(warning => console.log(`⚠️  ${warning}`));
+
+if (!arms.includes(reference)) {
+  console.error(`❌ Error: Reference condition "${reference}" not found (conditions: ${arms.join(', ') || 'none'})`);
+  process.exit(1);
+}
+if (!comparison || comparison === reference || !arms.includes(comparison)) {
+  console.error(`❌ Error: Comparison condition "${comparison || ''}" not found or same as the reference (conditions: ${arms.join(', ') || 'none'})`);
+  process.exit(1);
+}
+console.log(`Reference: ${reference}; comparison: ${comparison}`);
+
+// Reference ("baseline") and comparison ("trigger") tokens
 const baseline = [];
 const trigger = [];
 
-// Group by topic
+// Group by model and topic (every replicate response of each condition)
 const topics = {};
+const models = [];
+
+results.forEach((r, index) => {
+  const condition = resolution.rows[index].condition;
+  if (!condition) return;
 
-results.forEach(r => {
   const topic = r.vars.topic;
-  const prompt = r.prompt.raw;
+  const model = modelName(r);
+  const key = `${model}\u0000${topic}`;
   const tokens = r.response.tokenUsage.completion;
-  
-  if (!topics[topic]) {
-    topics[topic] = { baseline: null, trigger: null };
+  const run = {
+    tokens,
+    text: r.response.output || '',
+    perspectives: detectPerspectives(r.response.output || '', r.vars.language || 'en'),
+    testIdx: r.testIdx === undefined ? index : r.testIdx
+  };
+
+  if (!models.includes(model)) models.push(model);
+  if (!topics[key]) {
+    topics[key] = { topic, model, baselineRuns: [], triggerRuns: [], language: r.vars.language || 'en', arms: {} };
   }
-  
-  // Detect baseline vs trigger by prompt text
-  if (prompt.startsWith('Analyse') || prompt.startsWith('Analyze')) {
-    topics[topic].baseline = tokens;
+  const entry = topics[key];
+  entry.arms[condition] = [...(entry.arms[condition] || []), tokens];
+
+  if (condition === reference) {
+    entry.baselineRuns.push(run);
     baseline.push(tokens);
-  } else if (prompt.includes('expert') || prompt.includes('consensus')) {
-    topics[topic].trigger = tokens;
+  } else if (condition === comparison) {
+    entry.triggerRuns.push(run);
     trigger.push(tokens);
   }
 });
 
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+const formatTokens = value => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+
+// Replicates of one condition: mean tokens and perspective count, every label presented
+function averageRuns(runs) {
+  if (runs.length === 0) return { tokens: null, perspectives: null };
+  const labels = {};
+  runs.forEach(run => Object.assign(labels, run.perspectives.labels));
+  return {
+    tokens: mean(runs.map(run => run.tokens)),
+    perspectives: { count: mean(runs.map(run => run.perspectives.count)), labels }
+  };
+}
+
+// Detector results averaged over replicate pairs: mean confidence, detected
+// in at least half of the pairs
+function averageDetections(pairDetections) {
+  const averaged = {};
+  listDetectors().forEach(detector => {
+    const runs = pairDetections.map(detections => detections[detector.name]);
+    const active = runs.filter(result => !result.skipped);
+    averaged[detector.name] = active.length === 0
+      ? { detected: false, confidence: 0, evidence: [], skipped: true }
+      : {
+        detected: active.filter(result => result.detected).length * 2 >= active.length,
+        confidence: mean(active.map(result => result.confidence)),
+        evidence: active.flatMap(result => result.evidence)
+      };
+  });
+  return averaged;
+}
+
+Object.values(topics).forEach(entry => {
+  const baselineMean = averageRuns(entry.baselineRuns);
+  const triggerMean = averageRuns(entry.triggerRuns);
+  entry.baseline = baselineMean.tokens;
+  entry.trigger = triggerMean.tokens;
+  entry.baselinePerspectives = baselineMean.perspectives;
+  entry.triggerPerspectives = triggerMean.perspectives;
+
+  // Replicates pair up by test index (the k-th baseline with the k-th trigger)
+  const byTest = (a, b) => a.testIdx - b.testIdx;
+  const baselineRuns = [...entry.baselineRuns].sort(byTest);
+  entry.replicatePairs = [...entry.triggerRuns].sort(byTest)
+    .slice(0, baselineRuns.length)
+    .map((run, i) => ({ baselineText: baselineRuns[i].text, triggerText: run.text }));
+});
+
 // Overall stats
 const baselineTotal = baseline.reduce((a,b) => a+b, 0);
 const triggerTotal = trigger.reduce((a,b) => a+b, 0);
@@ -90,82 +325,92 @@ console.log(`H1 (>50%): ${compression > 50 ? '✅ CONFIRMED' : '❌ NOT CONFIRME
 // Topic-level analysis
 console.log('\n=== TOPIC-LEVEL ANALYSIS ===\n');
 
-const topicCompressions = Object.keys(topics)
-  .filter(t => topics[t].baseline && topics[t].trigger)
+const topicCompressions = Object.values(topics)
+  .filter(t => t.baseline && t.trigger)
   .map(t => ({
-    topic: t,
-    baseline: topics[t].baseline,
-    trigger: topics[t].trigger,
-    compression: ((topics[t].baseline - topics[t].trigger) / topics[t].baseline * 100).toFixed(1)
+    topic: t.topic,
+    model: t.model,
+    baseline: t.baseline,
+    trigger: t.trigger,
+    compression: ((t.baseline - t.trigger) / t.baseline * 100).toFixed(1),
+    baselinePerspectives: t.baselinePerspectives,
+    triggerPerspectives: t.triggerPerspectives,
+    perspectiveCollapse: t.baselinePerspectives.count > 0
+      ? ((t.baselinePerspectives.count - t.triggerPerspectives.count) / t.baselinePerspectives.count * 100).toFixed(1)
+      : '0.0',
+    replicates: { baseline: t.baselineRuns.length, trigger: t.triggerRuns.length },
+    detections: averageDetections(t.replicatePairs.map(pair => runDetectors(
+      { output: pair.triggerText, baseline: pair.baselineText },
+      { language: t.language, threshold }
+    )))
   }))
   .sort((a,b) => b.compression - a.compression);
 
+topicCompressions.forEach(t => {
+  t.ensemble = applyPolicy(t.detections, listDetectors(), policy);
+});
+
 const topicCount = topicCompressions.length;
+const pairedResponses = topicCompressions.reduce((sum, t) => sum + t.replicates.baseline + t.replicates.trigger, 0);
+const replicated = topicCompressions.some(t => t.replicates.baseline > 1 || t.replicates.trigger > 1);
 
-// Only do tier analysis if we have 50 topics (full study)
-if (topicCount >= 50) {
-  console.log('EPISTEMIC TIER ANALYSIS:\n');
-  
-  // Define tiers (50-topic study)
-  const tiers = {
-    tier1: {
-      name: 'High-Consensus Scientific',
-      topics: ['evolution', 'heliocentrism', 'plate tectonics', 'germ theory', 'vaccine efficacy', 
-               'HIV/AIDS transmission', 'smoking health effects', 'atomic theory', 'global warming', 
-               'antibiotic resistance']
-    },
-    tier2: {
-      name: 'Mixed-Consensus Policy',
-      topics: ['universal healthcare', 'carbon pricing', 'gun control', 'immigration policy', 
-               'drug legalization', 'minimum wage effects', 'school choice and vouchers', 
-               'affirmative action', 'free trade agreements', 'renewable energy subsidies']
-    },
-    tier3: {
-      name: 'Low-Consensus Emerging',
-      topics: ['AI consciousness', 'cryptocurrency regulation', 'longtermism', 'quantum computing timelines', 
-               'UAP phenomena', 'cryonics', 'AGI timelines', 'effective altruism', 
-               'psychedelic therapy', 'geoengineering']
-    },
-    tier4: {
-      name: 'Metaphysical/Religious',
-      topics: ['the hard problem of consciousness', 'free will versus determinism', 'near-death experiences', 
-               'moral realism', 'religious experience', 'the mind-body problem', 'the existence of God', 
-               'afterlife beliefs', 'the nature of time', 'artificial sentience']
-    },
-    tier5: {
-      name: 'Original Replication Set',
-      topics: ['climate change', 'artificial intelligence', 'AI safety', 'COVID-19 vaccines', 
-               'cryptocurrency', 'universal basic income', 'globalisation', 'nuclear energy', 
-               'space exploration', 'social media effects']
-    }
-  };
+if (replicated) {
+  console.log(`ℹ️  Replicates: ${pairedResponses} responses from ${topicCount} topics, averaged per topic (n = ${topicCount} pairs below)\n`);
+}
+
+// Grouped analysis by every dimension of the topic taxonomy
+const topicNames = [...new Set(topicCompressions.map(t => t.topic))];
+const groupedAnalysis = [];
+let unlistedTopics = [];
+
+if (taxonomy) {
+  unlistedTopics = missingTopics(taxonomy, topicNames);
+  console.log(`TOPIC GROUPS (${taxonomy.id} v${taxonomy.version}):\n`);
+  if (unlistedTopics.length > 0) {
+    console.log(`⚠️  ${unlistedTopics.length}/${topicNames.length} topic(s) missing from the taxonomy, left out of the grouped analysis: ${unlistedTopics.join(', ')}\n`);
+  }
 
-  // Calculate tier-level stats
-  Object.keys(tiers).forEach(tierKey => {
-    const tier = tiers[tierKey];
-    const tierTopics = tier.topics;
-    const tierBaseline = [];
-    const tierTrigger = [];
-    
-    tierTopics.forEach(topic => {
-      if (topics[topic]) {
-        if (topics[topic].baseline) tierBaseline.push(topics[topic].baseline);
-        if (topics[topic].trigger) tierTrigger.push(topics[topic].trigger);
-      }
+  taxonomy.dimensions.forEach(dimension => {
+    const groups = groupTopics(taxonomy, topicNames, dimension.name)
+      .filter(group => group.topics.length > 0)
+      .map(group => {
+        const pairs = topicCompressions.filter(t => group.topics.includes(t.topic));
+        const baselineAvg = pairs.reduce((sum, t) => sum + t.baseline, 0) / pairs.length;
+        const triggerAvg = pairs.reduce((sum, t) => sum + t.trigger, 0) / pairs.length;
+        const compressions = pairs.map(t => (t.baseline - t.trigger) / t.baseline * 100);
+        return {
+          ...group,
+          pairs,
+          baselineAvg,
+          triggerAvg,
+          compression: (baselineAvg - triggerAvg) / baselineAvg * 100,
+          compressions,
+          meanCompression: compressions.reduce((sum, c) => sum + c, 0) / compressions.length
+        };
+      });
+
+    const kruskal = kruskalWallis(groups.map(group => group.compressions));
+    const anova = oneWayAnova(groups.map(group => group.compressions));
+    groupedAnalysis.push({ dimension, groups, kruskal, anova });
+
+    console.log(`${dimension.name}${dimension.description ? ` (${dimension.description})` : ''}:`);
+    groups.forEach(group => {
+      const label = group.label === group.value ? group.value : `${group.label} [${group.value}]`;
+      console.log(`  ${label.padEnd(38)} n=${String(group.pairs.length).padStart(3)}  ${group.baselineAvg.toFixed(0).padStart(4)} → ${group.triggerAvg.toFixed(0).padStart(4)} tokens  compression ${group.compression.toFixed(1).padStart(5)}%`);
     });
-    
-    if (tierBaseline.length > 0) {
-      const tierBaselineAvg = tierBaseline.reduce((a,b) => a+b, 0) / tierBaseline.length;
-      const tierTriggerAvg = tierTrigger.reduce((a,b) => a+b, 0) / tierTrigger.length;
-      const tierCompression = ((tierBaselineAvg - tierTriggerAvg) / tierBaselineAvg * 100).toFixed(1);
-      
-      console.log(`${tier.name}:`);
-      console.log(`  Baseline avg: ${tierBaselineAvg.toFixed(0)} tokens`);
-      console.log(`  Trigger avg:  ${tierTriggerAvg.toFixed(0)} tokens`);
-      console.log(`  Compression:  ${tierCompression}%`);
-      console.log(`  Topics: ${tierBaseline.length}\n`);
+    if (kruskal) {
+      console.log(`  Kruskal-Wallis: H(${kruskal.df}) = ${kruskal.statistic.toFixed(2)}, ${formatP(kruskal.pValue)}, ε² = ${kruskal.epsilonSquared.toFixed(2)}`);
     }
+    if (anova) {
+      console.log(`  ANOVA:          F(${anova.df1}, ${anova.df2}) = ${anova.statistic.toFixed(2)}, ${formatP(anova.pValue)}, η² = ${anova.etaSquared.toFixed(2)}`);
+    }
+    if (!kruskal && !anova) {
+      console.log('  (no between-group test: needs at least 2 groups and more topics than groups)');
+    }
+    console.log('');
   });
+} else if (!linkedTaxonomy) {
+  console.log('ℹ️  No topic taxonomy linked (config metadata.taxonomy, metadata.json taxonomy or --taxonomy); skipping grouped analysis\n');
 }
 
 // Top/bottom compressors
@@ -173,22 +418,237 @@ const showCount = Math.min(10, topicCompressions.length);
 
 console.log(`=== TOP ${showCount} MOST COMPRESSED TOPICS ===\n`);
 topicCompressions.slice(0, showCount).forEach((t, i) => {
-  console.log(`${i+1}. ${t.topic}`);
-  console.log(`   ${t.baseline} → ${t.trigger} tokens (${t.compression}%)\n`);
+  console.log(`${i+1}. ${pairName(t)}`);
+  console.log(`   ${formatTokens(t.baseline)} → ${formatTokens(t.trigger)} tokens (${t.compression}%)\n`);
 });
 
 if (topicCompressions.length > 10) {
   console.log(`=== BOTTOM ${showCount} LEAST COMPRESSED TOPICS ===\n`);
   topicCompressions.slice(-showCount).reverse().forEach((t, i) => {
-    console.log(`${i+1}. ${t.topic}`);
-    console.log(`   ${t.baseline} → ${t.trigger} tokens (${t.compression}%)\n`);
+    console.log(`${i+1}. ${pairName(t)}`);
+    console.log(`   ${formatTokens(t.baseline)} → ${formatTokens(t.trigger)} tokens (${t.compression}%)\n`);
+  });
+}
+
+// Perspective collapse
+const baselinePerspectiveTotal = topicCompressions.reduce((sum, t) => sum + t.baselinePerspectives.count, 0);
+const triggerPerspectiveTotal = topicCompressions.reduce((sum, t) => sum + t.triggerPerspectives.count, 0);
+const perspectiveCollapse = baselinePerspectiveTotal > 0
+  ? ((baselinePerspectiveTotal - triggerPerspectiveTotal) / baselinePerspectiveTotal * 100).toFixed(1)
+  : '0.0';
+const singleViewTopics = topicCompressions.filter(t => t.triggerPerspectives.count <= 1).length;
+
+console.log('=== PERSPECTIVE COLLAPSE ===\n');
+console.log(`Baseline avg:   ${(baselinePerspectiveTotal / topicCompressions.length).toFixed(1)} perspectives/test`);
+console.log(`Trigger avg:    ${(triggerPerspectiveTotal / topicCompressions.length).toFixed(1)} perspectives/test`);
+console.log(`\n🎯 PERSPECTIVE COLLAPSE: ${perspectiveCollapse}%`);
+console.log(`   - Trigger gave ≤1 perspective: ${singleViewTopics}/${topicCompressions.length} topics`);
+
+const labelCounts = {};
+topicCompressions.forEach(t => {
+  Object.keys(t.baselinePerspectives.labels).forEach(label => {
+    labelCounts[label] = labelCounts[label] || { baseline: 0, trigger: 0 };
+    labelCounts[label].baseline++;
+  });
+  Object.keys(t.triggerPerspectives.labels).forEach(label => {
+    labelCounts[label] = labelCounts[label] || { baseline: 0, trigger: 0 };
+    labelCounts[label].trigger++;
+  });
+});
+
+console.log('\nMost frequent perspectives (topics presenting them, baseline → trigger):');
+Object.entries(labelCounts)
+  .sort((a, b) => b[1].baseline - a[1].baseline || a[0].localeCompare(b[0]))
+  .slice(0, 10)
+  .forEach(([label, counts]) => {
+    console.log(`   ${label}: ${counts.baseline} → ${counts.trigger}`);
+  });
+console.log(`\nLexicon: ${lexicon.id} v${lexicon.version}\n`);
+
+// Registered detectors (trigger response vs its baseline)
+console.log(`=== DETECTORS (${comparison} vs ${reference}, threshold ${threshold}) ===\n`);
+listDetectors().forEach(detector => {
+  const detected = topicCompressions.filter(t => t.detections[detector.name].detected).length;
+  const meanConfidence = topicCompressions.reduce((sum, t) => sum + t.detections[detector.name].confidence, 0) / topicCompressions.length;
+  console.log(`   ${detector.name.padEnd(22)} ${String(detected).padStart(3)}/${topicCompressions.length} detected, mean confidence ${meanConfidence.toFixed(2)}`);
+});
+
+const ensembleDetected = topicCompressions.filter(t => t.ensemble.detected).length;
+const meanScore = topicCompressions.reduce((sum, t) => sum + t.ensemble.score, 0) / topicCompressions.length;
+const meanAgreement = topicCompressions.reduce((sum, t) => sum + t.ensemble.agreement, 0) / topicCompressions.length;
+console.log(`\n   Ensemble (${policy.id} v${policy.version}): ${ensembleDetected}/${topicCompressions.length} detected, mean score ${meanScore.toFixed(2)}, mean agreement ${meanAgreement.toFixed(1)} detectors`);
+
+const typeCounts = {};
+topicCompressions.forEach(t => t.ensemble.types.forEach(type => { typeCounts[type] = (typeCounts[type] || 0) + 1; }));
+Object.entries(typeCounts)
+  .sort((a, b) => b[1] - a[1])
+  .forEach(([type, count]) => console.log(`     ${type.padEnd(20)} ${String(count).padStart(3)} topics`));
+console.log('');
+
+// Inferential statistics on the per-topic token pairs
+const formatCI = (ci, digits, unit = '') => `[${(BOOTSTRAP.confidence * 100).toFixed(0)}% CI ${ci[0].toFixed(digits)}${unit}, ${ci[1].toFixed(digits)}${unit}]`;
+
+const pairedBaseline = topicCompressions.map(t => t.baseline);
+const pairedTrigger = topicCompressions.map(t => t.trigger);
+const tTest = pairedTTest(pairedBaseline, pairedTrigger, BOOTSTRAP.confidence);
+const wilcoxon = wilcoxonSignedRank(pairedBaseline, pairedTrigger);
+const meanCompression = bootstrapCI(
+  topicCompressions,
+  sample => sample.reduce((sum, t) => sum + (t.baseline - t.trigger) / t.baseline * 100, 0) / sample.length,
+  BOOTSTRAP
+);
+const pooledCompression = bootstrapCI(
+  topicCompressions,
+  sample => {
+    const baselineSum = sample.reduce((sum, t) => sum + t.baseline, 0);
+    return (baselineSum - sample.reduce((sum, t) => sum + t.trigger, 0)) / baselineSum * 100;
+  },
+  BOOTSTRAP
+);
+
+console.log(`=== INFERENTIAL STATISTICS (${reference} vs ${comparison} tokens, ${topicCount} topic pairs) ===\n`);
+if (replicated) {
+  console.log(`Replicates averaged per topic: ${pairedResponses} responses → ${topicCount} pairs\n`);
+}
+if (tTest) {
+  console.log(`Paired t-test:         t(${tTest.df}) = ${tTest.t.toFixed(2)}, ${formatP(tTest.pValue)} (n = ${tTest.n} pairs)`);
+  console.log(`   Mean difference:    ${tTest.meanDifference.toFixed(1)} tokens ${formatCI(tTest.ci, 1)}`);
+} else {
+  console.log('Paired t-test:         ⚠️  needs at least 2 topic pairs');
+}
+if (wilcoxon) {
+  console.log(`Wilcoxon signed-rank:  V = ${wilcoxon.statistic}, ${formatP(wilcoxon.pValue)} (${wilcoxon.method}, ${wilcoxon.n} non-zero pairs)`);
+  console.log(`   Rank-biserial r:    ${wilcoxon.rankBiserial.toFixed(2)}`);
+} else {
+  console.log('Wilcoxon signed-rank:  ⚠️  every pair is tied');
+}
+if (tTest) {
+  console.log(`Effect sizes:          Cohen's dz = ${tTest.cohensDz.toFixed(2)}, Hedges' g = ${tTest.hedgesG.toFixed(2)}`);
+}
+if (meanCompression) {
+  console.log(`Mean compression:      ${meanCompression.estimate.toFixed(1)}% ${formatCI(meanCompression.ci, 1, '%')} (per-topic mean)`);
+  console.log(`Pooled compression:    ${pooledCompression.estimate.toFixed(1)}% ${formatCI(pooledCompression.ci, 1, '%')} (total tokens)`);
+  console.log(`   Percentile bootstrap, ${BOOTSTRAP.iterations} resamples of ${topicCount} topics, seed ${BOOTSTRAP.seed}`);
+}
+console.log('');
+
+// Every non-reference arm against the reference (same topic pairs)
+const armComparisons = arms.filter(arm => arm !== reference).map(arm => {
+  const pairs = Object.values(topics)
+    .filter(t => t.arms[reference] && t.arms[arm])
+    .map(t => ({ reference: mean(t.arms[reference]), arm: mean(t.arms[arm]) }));
+  const referenceSum = pairs.reduce((sum, p) => sum + p.reference, 0);
+  const armSum = pairs.reduce((sum, p) => sum + p.arm, 0);
+  return {
+    arm,
+    pairs: pairs.length,
+    referenceAvg: pairs.length > 0 ? referenceSum / pairs.length : NaN,
+    armAvg: pairs.length > 0 ? armSum / pairs.length : NaN,
+    compression: referenceSum > 0 ? (referenceSum - armSum) / referenceSum * 100 : NaN,
+    meanCompression: pairs.length > 0 ? pairs.reduce((sum, p) => sum + (p.reference - p.arm) / p.reference * 100, 0) / pairs.length : NaN,
+    tTest: pairedTTest(pairs.map(p => p.reference), pairs.map(p => p.arm), BOOTSTRAP.confidence),
+    wilcoxon: wilcoxonSignedRank(pairs.map(p => p.reference), pairs.map(p => p.arm))
+  };
+});
+
+if (arms.length > 2) {
+  console.log(`=== CONDITIONS vs ${reference} ===\n`);
+  armComparisons.forEach(c => {
+    const tests = [
+      c.tTest ? `t(${c.tTest.df}) = ${c.tTest.t.toFixed(2)}, ${formatP(c.tTest.pValue)}, dz = ${c.tTest.cohensDz.toFixed(2)}` : 't-test n/a',
+      c.wilcoxon ? `Wilcoxon ${formatP(c.wilcoxon.pValue)}` : 'Wilcoxon n/a'
+    ].join('; ');
+    console.log(`  ${c.arm.padEnd(24)} n=${String(c.pairs).padStart(3)}  ${c.referenceAvg.toFixed(0).padStart(4)} → ${c.armAvg.toFixed(0).padStart(4)} tokens  compression ${c.compression.toFixed(1).padStart(5)}%  (${tests})`);
+  });
+  console.log('');
+}
+
+// Per-model comparison (multi-provider runs)
+const modelAnalysis = models.length > 1 ? models.map(model => {
+  const pairs = topicCompressions.filter(t => t.model === model);
+  const baselineSum = pairs.reduce((sum, t) => sum + t.baseline, 0);
+  const triggerSum = pairs.reduce((sum, t) => sum + t.trigger, 0);
+  const compressions = pairs.map(t => (t.baseline - t.trigger) / t.baseline * 100);
+  return {
+    model,
+    pairs,
+    baselineAvg: pairs.length > 0 ? baselineSum / pairs.length : NaN,
+    triggerAvg: pairs.length > 0 ? triggerSum / pairs.length : NaN,
+    compression: baselineSum > 0 ? (baselineSum - triggerSum) / baselineSum * 100 : NaN,
+    compressions,
+    meanCompression: compressions.length > 0 ? compressions.reduce((sum, c) => sum + c, 0) / compressions.length : NaN,
+    over50: compressions.filter(c => c >= 50).length,
+    tTest: pairedTTest(pairs.map(t => t.baseline), pairs.map(t => t.trigger), BOOTSTRAP.confidence),
+    wilcoxon: wilcoxonSignedRank(pairs.map(t => t.baseline), pairs.map(t => t.trigger))
+  };
+}) : [];
+
+const modelKruskal = models.length > 1 ? kruskalWallis(modelAnalysis.map(m => m.compressions)) : null;
+const modelAnova = models.length > 1 ? oneWayAnova(modelAnalysis.map(m => m.compressions)) : null;
+const modelPosthoc = modelKruskal ? dunnTest(modelAnalysis.map(m => m.compressions)) || [] : [];
+
+// Model × topic group table on the tier dimension (else the first taxonomy dimension)
+const interactionDimension = models.length > 1 && groupedAnalysis.length > 0
+  ? (groupedAnalysis.find(({ dimension }) => dimension.name === 'tier') || groupedAnalysis[0])
+  : null;
+const interaction = interactionDimension ? interactionDimension.groups.map(group => ({
+  value: group.value,
+  label: group.label,
+  cells: models.map(model => {
+    const compressions = group.pairs
+      .filter(t => t.model === model)
+      .map(t => (t.baseline - t.trigger) / t.baseline * 100);
+    return {
+      model,
+      n: compressions.length,
+      meanCompression: compressions.length > 0 ? compressions.reduce((sum, c) => sum + c, 0) / compressions.length : null
+    };
+  })
+})) : [];
+
+if (models.length > 1) {
+  console.log(`=== MODEL COMPARISON (${models.length} models, ${reference} vs ${comparison}) ===\n`);
+  modelAnalysis.forEach(m => {
+    const tests = m.tTest ? `t(${m.tTest.df}) = ${m.tTest.t.toFixed(2)}, ${formatP(m.tTest.pValue)}, dz = ${m.tTest.cohensDz.toFixed(2)}` : 't-test n/a';
+    console.log(`  ${m.model.padEnd(24)} n=${String(m.pairs.length).padStart(3)}  ${m.baselineAvg.toFixed(0).padStart(4)} → ${m.triggerAvg.toFixed(0).padStart(4)} tokens  compression ${m.compression.toFixed(1).padStart(5)}%  ≥50%: ${m.over50}/${m.pairs.length}  (${tests})`);
   });
+  console.log('');
+  console.log('Model effect on per-topic compression:');
+  if (modelKruskal) {
+    console.log(`  Kruskal-Wallis: H(${modelKruskal.df}) = ${modelKruskal.statistic.toFixed(2)}, ${formatP(modelKruskal.pValue)}, ε² = ${modelKruskal.epsilonSquared.toFixed(2)}`);
+  }
+  if (modelAnova) {
+    console.log(`  ANOVA:          F(${modelAnova.df1}, ${modelAnova.df2}) = ${modelAnova.statistic.toFixed(2)}, ${formatP(modelAnova.pValue)}, η² = ${modelAnova.etaSquared.toFixed(2)}`);
+  }
+  if (!modelKruskal && !modelAnova) {
+    console.log('  (no between-model test: needs more topic pairs than models)');
+  }
+  if (modelPosthoc.length > 0) {
+    console.log('\nPairwise (Dunn, Holm-adjusted):');
+    modelPosthoc.forEach(pair => {
+      const names = `${models[pair.a]} vs ${models[pair.b]}`;
+      console.log(`  ${names.padEnd(40)} z = ${pair.z.toFixed(2).padStart(6)}, adjusted ${formatP(pair.pAdjusted)}${pair.pAdjusted < 0.05 ? ' *' : ''}`);
+    });
+  }
+  if (interactionDimension) {
+    console.log(`\nMean compression by model × ${interactionDimension.dimension.name}:`);
+    console.log(`  ${''.padEnd(38)} ${models.map(model => model.slice(0, 14).padStart(14)).join(' ')}`);
+    interaction.forEach(row => {
+      const label = row.label === row.value ? row.value : `${row.label} [${row.value}]`;
+      const cells = row.cells.map(cell => (cell.n > 0 ? `${cell.meanCompression.toFixed(1)}% (${cell.n})` : '–').padStart(14));
+      console.log(`  ${label.slice(0, 38).padEnd(38)} ${cells.join(' ')}`);
+    });
+  }
+  console.log('');
 }
 
 // Summary
 console.log('=== HYPOTHESIS TESTING SUMMARY ===\n');
 console.log(`H1 (>50% compression): ${compression}% ${compression > 50 ? '✅ CONFIRMED' : '❌ NOT CONFIRMED'}`);
-console.log(`H4 (cross-topic consistency): ${topicCompressions.length} topics tested`);
+if (tTest && pooledCompression) {
+  console.log(`   - Trigger shorter than baseline: t(${tTest.df}) = ${tTest.t.toFixed(2)}, ${formatP(tTest.pValue)}; 95% CI lower bound ${pooledCompression.ci[0].toFixed(1)}% ${pooledCompression.ci[0] > 50 ? '> 50% ✅' : '≤ 50% ⚠️'}`);
+}
+console.log(`H4 (cross-topic consistency): ${topicCompressions.length} ${models.length > 1 ? `topic pairs (${models.length} models)` : 'topics'} tested`);
 console.log(`   - Range: ${topicCompressions[topicCompressions.length-1].compression}% to ${topicCompressions[0].compression}%`);
 console.log(`   - All >50%: ${topicCompressions.every(t => t.compression > 50) ? '✅ YES' : '❌ NO'}`);
 
@@ -207,6 +667,7 @@ console.log('\n=== ANALYSIS COMPLETE ===');
 console.log(`✅ ${topicCompressions.length} topics analyzed`);
 console.log(`✅ ${results.length} total tests`);
 console.log(`✅ ${compression}% average compression`);
+console.log(`✅ ${perspectiveCollapse}% perspective collapse`);
 
 if (compression > 70) {
   console.log('✅ STRONG containment pattern detected');
@@ -227,38 +688,261 @@ const csvPath = resultsPath.replace(/\.json$/, '_compression.csv');
 
 // Build CSV content
 const csvRows = [];
+const taxonomyColumns = taxonomy ? taxonomy.dimensions.map(dimension => `taxonomy_${dimension.name}`) : [];
+
+const quoted = value => `"${String(value).replace(/"/g, '""')}"`;
 
-// Header row
-csvRows.push('topic,baseline_tokens,trigger_tokens,compression_percent,compression_ratio');
+// Header row; multi-provider runs append a model column so existing columns keep their positions
+csvRows.push('topic,baseline_tokens,trigger_tokens,compression_percent,compression_ratio,' +
+  'baseline_perspectives,trigger_perspectives,perspective_collapse_percent,baseline_perspective_labels,trigger_perspective_labels,' +
+  [...detectorCsvColumns(), ...ensembleCsvColumns(), ...taxonomyColumns].map(column => column + ',').join('') +
+  'lexicon_id,lexicon_version' + (models.length > 1 ? ',model' : ''));
 
-// Data rows - sort by topic name for consistency
-const sortedCompressions = topicCompressions.sort((a, b) => a.topic.localeCompare(b.topic));
+// Data rows - sort by topic name (then model) for consistency
+const sortedCompressions = topicCompressions.sort((a, b) => a.topic.localeCompare(b.topic) || a.model.localeCompare(b.model));
 
 sortedCompressions.forEach(tc => {
   const compressionNum = parseFloat(tc.compression);
   csvRows.push([
     tc.topic,
-    tc.baseline,
-    tc.trigger,
+    formatTokens(tc.baseline),
+    formatTokens(tc.trigger),
     tc.compression,
-    (compressionNum / 100).toFixed(3)
+    (compressionNum / 100).toFixed(3),
+    tc.baselinePerspectives.count,
+    tc.triggerPerspectives.count,
+    tc.perspectiveCollapse,
+    Object.keys(tc.baselinePerspectives.labels).join(';'),
+    Object.keys(tc.triggerPerspectives.labels).join(';'),
+    ...detectorCsvValues(tc.detections),
+    ...ensembleCsvValues(tc.ensemble),
+    ...(taxonomy ? taxonomy.dimensions.map(dimension => (topicGroups(taxonomy, tc.topic) || {})[dimension.name] || '') : []),
+    lexicon.id,
+    lexicon.version,
+    ...(models.length > 1 ? [quoted(tc.model)] : [])
   ].join(','));
 });
 
 // Add summary row
 csvRows.push('');
-csvRows.push('SUMMARY,baseline_total,trigger_total,compression_percent,compression_ratio');
+csvRows.push('SUMMARY,baseline_total,trigger_total,compression_percent,compression_ratio,' +
+  'baseline_perspectives_total,trigger_perspectives_total,perspective_collapse_percent');
 csvRows.push([
   'Overall',
   baselineTotal,
   triggerTotal,
   compression,
-  (compression / 100).toFixed(3)
+  (compression / 100).toFixed(3),
+  baselinePerspectiveTotal,
+  triggerPerspectiveTotal,
+  perspectiveCollapse
 ].join(','));
 
+// Inferential statistics rows (empty cells where a test does not apply)
+const fixed = (value, digits) => (value === null || value === undefined ? '' : value.toFixed(digits));
+const bootstrapMethod = `percentile bootstrap (${BOOTSTRAP.iterations} resamples; seed ${BOOTSTRAP.seed})`;
+
+csvRows.push('');
+csvRows.push('INFERENCE,estimate,statistic,df,p_value,ci_lower,ci_upper,method');
+if (tTest) {
+  csvRows.push(['mean_difference_tokens', fixed(tTest.meanDifference, 3), fixed(tTest.t, 4), tTest.df, tTest.pValue.toPrecision(4), fixed(tTest.ci[0], 3), fixed(tTest.ci[1], 3), 'paired t-test'].join(','));
+  csvRows.push(['cohens_dz', fixed(tTest.cohensDz, 4), '', '', '', '', '', 'mean difference / SD of differences'].join(','));
+  csvRows.push(['hedges_g', fixed(tTest.hedgesG, 4), '', '', '', '', '', 'd_av with small-sample correction'].join(','));
+}
+if (wilcoxon) {
+  csvRows.push(['wilcoxon_rank_biserial', fixed(wilcoxon.rankBiserial, 4), wilcoxon.statistic, '', wilcoxon.pValue.toPrecision(4), '', '', `Wilcoxon signed-rank (${wilcoxon.method})`].join(','));
+}
+if (meanCompression) {
+  csvRows.push(['mean_compression_percent', fixed(meanCompression.estimate, 3), '', '', '', fixed(meanCompression.ci[0], 3), fixed(meanCompression.ci[1], 3), bootstrapMethod].join(','));
+  csvRows.push(['pooled_compression_percent', fixed(pooledCompression.estimate, 3), '', '', '', fixed(pooledCompression.ci[0], 3), fixed(pooledCompression.ci[1], 3), bootstrapMethod].join(','));
+}
+
+groupedAnalysis.forEach(({ dimension, kruskal, anova }) => {
+  if (kruskal) {
+    csvRows.push([`kruskal_wallis_${dimension.name}`, fixed(kruskal.epsilonSquared, 4), fixed(kruskal.statistic, 4), kruskal.df, kruskal.pValue.toPrecision(4), '', '', 'Kruskal-Wallis on per-topic compression (estimate: epsilon squared)'].join(','));
+  }
+  if (anova) {
+    csvRows.push([`anova_${dimension.name}`, fixed(anova.etaSquared, 4), fixed(anova.statistic, 4), `${anova.df1};${anova.df2}`, anova.pValue.toPrecision(4), '', '', 'one-way ANOVA on per-topic compression (estimate: eta squared)'].join(','));
+  }
+});
+
+if (modelKruskal) {
+  csvRows.push(['kruskal_wallis_model', fixed(modelKruskal.epsilonSquared, 4), fixed(modelKruskal.statistic, 4), modelKruskal.df, modelKruskal.pValue.toPrecision(4), '', '', 'Kruskal-Wallis on per-topic compression (estimate: epsilon squared)'].join(','));
+}
+if (modelAnova) {
+  csvRows.push(['anova_model', fixed(modelAnova.etaSquared, 4), fixed(modelAnova.statistic, 4), `${modelAnova.df1};${modelAnova.df2}`, modelAnova.pValue.toPrecision(4), '', '', 'one-way ANOVA on per-topic compression (estimate: eta squared)'].join(','));
+}
+
+// Per-group compression for every taxonomy dimension
+if (groupedAnalysis.length > 0) {
+  csvRows.push('');
+  csvRows.push('GROUP,dimension,value,label,n_topics,baseline_avg,trigger_avg,compression_percent,mean_compression_percent');
+  groupedAnalysis.forEach(({ dimension, groups }) => {
+    groups.forEach(group => {
+      csvRows.push(['group', dimension.name, group.value, `"${group.label.replace(/"/g, '""')}"`, group.topics.length,
+        fixed(group.baselineAvg, 1), fixed(group.triggerAvg, 1), fixed(group.compression, 3), fixed(group.meanCompression, 3)].join(','));
+    });
+  });
+  if (unlistedTopics.length > 0) {
+    csvRows.push(['missing', '', '', `"${unlistedTopics.join(';')}"`, unlistedTopics.length].join(','));
+  }
+}
+
+// Per-model compression, model effect and model × group table (multi-provider runs)
+if (models.length > 1) {
+  csvRows.push('');
+  csvRows.push('MODEL,n_pairs,baseline_avg,trigger_avg,compression_percent,mean_compression_percent,topics_over_50,t,df,p_value,cohens_dz,wilcoxon_p_value');
+  modelAnalysis.forEach(m => {
+    csvRows.push([quoted(m.model), m.pairs.length, fixed(m.baselineAvg, 1), fixed(m.triggerAvg, 1), fixed(m.compression, 3), fixed(m.meanCompression, 3), m.over50,
+      m.tTest ? fixed(m.tTest.t, 4) : '', m.tTest ? m.tTest.df : '', m.tTest ? m.tTest.pValue.toPrecision(4) : '',
+      m.tTest ? fixed(m.tTest.cohensDz, 4) : '', m.wilcoxon ? m.wilcoxon.pValue.toPrecision(4) : ''].join(','));
+  });
+
+  if (modelPosthoc.length > 0) {
+    csvRows.push('');
+    csvRows.push('MODEL_PAIR,model_a,model_b,mean_rank_a,mean_rank_b,z,p_value,p_adjusted,method');
+    modelPosthoc.forEach(pair => {
+      csvRows.push(['pair', quoted(models[pair.a]), quoted(models[pair.b]), fixed(pair.meanRankA, 3), fixed(pair.meanRankB, 3),
+        fixed(pair.z, 4), pair.pValue.toPrecision(4), pair.pAdjusted.toPrecision(4), 'Dunn (Holm-adjusted)'].join(','));
+    });
+  }
+
+  if (interactionDimension) {
+    csvRows.push('');
+    csvRows.push('MODEL_GROUP,dimension,value,label,model,n_topics,mean_compression_percent');
+    interaction.forEach(row => {
+      row.cells.forEach(cell => {
+        csvRows.push(['cell', interactionDimension.dimension.name, row.value, quoted(row.label), quoted(cell.model), cell.n, fixed(cell.meanCompression, 3)].join(','));
+      });
+    });
+  }
+}
+
+// Every non-reference condition against the reference
+csvRows.push('');
+csvRows.push('CONDITION,reference,n_pairs,reference_avg,condition_avg,compression_percent,mean_compression_percent,t,df,p_value,cohens_dz,wilcoxon_p_value');
+armComparisons.forEach(c => {
+  csvRows.push([c.arm, reference, c.pairs, fixed(c.referenceAvg, 1), fixed(c.armAvg, 1), fixed(c.compression, 3), fixed(c.meanCompression, 3),
+    c.tTest ? fixed(c.tTest.t, 4) : '', c.tTest ? c.tTest.df : '', c.tTest ? c.tTest.pValue.toPrecision(4) : '',
+    c.tTest ? fixed(c.tTest.cohensDz, 4) : '', c.wilcoxon ? c.wilcoxon.pValue.toPrecision(4) : ''].join(','));
+});
+
 // Write CSV file
 const csvContent = csvRows.join('\n');
 fs.writeFileSync(csvPath, csvContent);
 
 console.log(`✅ CSV exported to: ${csvPath}`);
 
+// ============================================
+// JSON STATISTICS SIDECAR
+// ============================================
+
+const statisticsPath = resultsPath.replace(/\.json$/, '_statistics.json');
+const statistics = {
+  source: path.basename(resultsPath),
+  generated: new Date().toISOString(),
+  measure: `completion tokens per topic (${reference} - ${comparison}), replicates averaged`,
+  n_pairs: topicCount,
+  n_responses: { [reference]: baseline.length, [comparison]: trigger.length },
+  detector_threshold: { value: threshold, source: thresholdSource },
+  conditions: {
+    reference,
+    comparison,
+    arms,
+    sources: resolution.sources,
+    comparisons: armComparisons.map(c => ({
+      condition: c.arm,
+      n_pairs: c.pairs,
+      reference_avg: c.referenceAvg,
+      condition_avg: c.armAvg,
+      compression_percent: c.compression,
+      mean_compression_percent: c.meanCompression,
+      paired_t_test: c.tTest && { t: c.tTest.t, df: c.tTest.df, p_value: c.tTest.pValue, cohens_dz: c.tTest.cohensDz },
+      wilcoxon_signed_rank: c.wilcoxon && { v: c.wilcoxon.statistic, p_value: c.wilcoxon.pValue, method: c.wilcoxon.method }
+    }))
+  },
+  paired_t_test: tTest && {
+    mean_difference: tTest.meanDifference,
+    sd_difference: tTest.sdDifference,
+    t: tTest.t,
+    df: tTest.df,
+    p_value: tTest.pValue,
+    ci: tTest.ci
+  },
+  wilcoxon_signed_rank: wilcoxon && {
+    v: wilcoxon.statistic,
+    w_minus: wilcoxon.wMinus,
+    n_nonzero: wilcoxon.n,
+    z: wilcoxon.z,
+    p_value: wilcoxon.pValue,
+    method: wilcoxon.method,
+    rank_biserial: wilcoxon.rankBiserial
+  },
+  effect_sizes: tTest && {
+    cohens_dz: tTest.cohensDz,
+    hedges_g: tTest.hedgesG
+  },
+  compression: meanCompression && {
+    mean_percent: meanCompression.estimate,
+    mean_percent_ci: meanCompression.ci,
+    pooled_percent: pooledCompression.estimate,
+    pooled_percent_ci: pooledCompression.ci
+  },
+  bootstrap: BOOTSTRAP,
+  taxonomy: taxonomy && {
+    id: taxonomy.id,
+    version: taxonomy.version,
+    path: taxonomy.path,
+    missing_topics: unlistedTopics,
+    dimensions: Object.fromEntries(groupedAnalysis.map(({ dimension, groups, kruskal, anova }) => [dimension.name, {
+      groups: groups.map(group => ({
+        value: group.value,
+        label: group.label,
+        n_topics: group.topics.length,
+        baseline_avg: group.baselineAvg,
+        trigger_avg: group.triggerAvg,
+        compression_percent: group.compression,
+        mean_compression_percent: group.meanCompression
+      })),
+      kruskal_wallis: kruskal && { h: kruskal.statistic, df: kruskal.df, p_value: kruskal.pValue, epsilon_squared: kruskal.epsilonSquared },
+      anova: anova && { f: anova.statistic, df1: anova.df1, df2: anova.df2, p_value: anova.pValue, eta_squared: anova.etaSquared }
+    }]))
+  },
+  models: models.length > 1 ? {
+    per_model: modelAnalysis.map(m => ({
+      model: m.model,
+      n_pairs: m.pairs.length,
+      baseline_avg: m.baselineAvg,
+      trigger_avg: m.triggerAvg,
+      compression_percent: m.compression,
+      mean_compression_percent: m.meanCompression,
+      topics_over_50: m.over50,
+      paired_t_test: m.tTest && { t: m.tTest.t, df: m.tTest.df, p_value: m.tTest.pValue, cohens_dz: m.tTest.cohensDz },
+      wilcoxon_signed_rank: m.wilcoxon && { v: m.wilcoxon.statistic, p_value: m.wilcoxon.pValue, method: m.wilcoxon.method }
+    })),
+    kruskal_wallis: modelKruskal && { h: modelKruskal.statistic, df: modelKruskal.df, p_value: modelKruskal.pValue, epsilon_squared: modelKruskal.epsilonSquared },
+    anova: modelAnova && { f: modelAnova.statistic, df1: modelAnova.df1, df2: modelAnova.df2, p_value: modelAnova.pValue, eta_squared: modelAnova.etaSquared },
+    posthoc: modelPosthoc.map(pair => ({
+      method: 'Dunn (Holm-adjusted)',
+      model_a: models[pair.a],
+      model_b: models[pair.b],
+      z: pair.z,
+      p_value: pair.pValue,
+      p_adjusted: pair.pAdjusted
+    })),
+    interaction: interactionDimension && {
+      dimension: interactionDimension.dimension.name,
+      groups: interaction.map(row => ({
+        value: row.value,
+        label: row.label,
+        mean_compression_percent: Object.fromEntries(row.cells.map(cell => [cell.model, cell.meanCompression])),
+        n_topics: Object.fromEntries(row.cells.map(cell => [cell.model, cell.n]))
+      }))
+    }
+  } : null,
+  lexicon: { id: lexicon.id, version: lexicon.version }
+};
+fs.writeFileSync(statisticsPath, JSON.stringify(statistics, null, 2));
+
+console.log(`✅ Statistics exported to: ${statisticsPath}`);
+
@@ -7,8 +7,13 @@
  * 
  * Also provides copy-paste ready R commands for common analyses.
  * 
+ * Every registered containment detector gets a <name>_detected and
+ * <name>_confidence column (baseline = Turn 1, history = earlier turns), and
+ * containment_types / ensemble_score combine them under the run's ensemble
+ * policy (--policy, else metadata.json's ensemble_policy).
+ * 
  * Usage:
- *   node src/analysis/export_for_r.js <results.json>
+ *   node src/analysis/export_for_r.js <results.json> [--detectors <config.json>] [--policy <policy.yaml>]
  * 
  * Examples:
  *   node src/analysis/export_for_r.js results/five_turn_neutral/results.json
@@ -17,12 +22,32 @@
 
 const fs = require('fs');
 const path = require('path');
+const { countMarkers, getLexiconInfo } = require('../metrics/lexicon');
+const { calculateLexicalDiversity } = require('../metrics/lexical_diversity');
+const {
+  classifyStance,
+  classifyDissenterEngagement,
+  detectStanceShift,
+  listDetectors,
+  loadDetectorConfig,
+  runDetectors,
+  detectorCsvColumns,
+  detectorCsvValues,
+  loadPolicy,
+  applyPolicy,
+  ensembleCsvColumns,
+  ensembleCsvValues
+} = require('../metrics/containment');
+const { runPolicyPath } = require('../utils/metadata');
 
 const resultsFile = process.argv[2];
+const detectorsIndex = process.argv.indexOf('--detectors');
+const detectorConfig = detectorsIndex !== -1 ? process.argv[detectorsIndex + 1] : null;
+const policyIndex = process.argv.indexOf('--policy');
 
 if (!resultsFile) {
   console.error('❌ Error: No results file specified');
-  console.error('\nUsage: node src/analysis/export_for_r.js <results.json>');
+  console.error('\nUsage: node src/analysis/export_for_r.js <results.json> [--detectors <config.json>] [--policy <policy.yaml>]');
   console.error('\nExamples:');
   console.error('  node src/analysis/export_for_r.js results/five_turn_neutral/results.json');
   console.error('  node src/analysis/export_for_r.js results/cultural_bias/results.json');
@@ -34,6 +59,24 @@ if (!fs.existsSync(resultsFile)) {
   process.exit(1);
 }
 
+if (detectorConfig) {
+  try {
+    console.log(`🔌 Detectors from ${detectorConfig}: ${loadDetectorConfig(detectorConfig).join(', ')}`);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+let policy;
+try {
+  policy = loadPolicy(policyIndex !== -1 ? process.argv[policyIndex + 1] : runPolicyPath(resultsFile));
+  console.log(`🗳️  Ensemble policy: ${policy.id} v${policy.version}${policy.path ? ` (${policy.path})` : ''}`);
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+
 console.log(`📊 Extracting turn-wise data from: ${resultsFile}`);
 console.log('');
 
@@ -82,9 +125,9 @@ results.forEach(r => {
     return;
   }
   
-  // Calculate linguistic markers
-  const hedgeWords = (text.match(/\b(might|could|possibly|perhaps|may|unclear|various|different|some|can be|tend to|generally|often)\b/gi) || []).length;
-  const certaintyWords = (text.match(/\b(certain|definitely|clearly|undoubtedly|undisputed|proven|fact|consensus|agree|must|will)\b/gi) || []).length;
+  // Calculate linguistic markers (shared marker lexicon)
+  const hedgeWords = countMarkers(text, 'hedge');
+  const certaintyWords = countMarkers(text, 'certainty');
   
   // Calculate entropy (Shannon entropy of words)
   const words = text.toLowerCase().match(/\b\w+\b/g) || [];
@@ -95,13 +138,27 @@ results.forEach(r => {
     return sum + p * Math.log2(p);
   }, 0);
   
+  // Length-robust lexical diversity (separates diversity collapse from compression)
+  const lexical = calculateLexicalDiversity(text);
+  const stance = classifyStance(text);
+  const engagement = turn === 3 ? classifyDissenterEngagement(text, { dissenter }).engagement : '';
+  
   rows.push({
+    conversationId: r.metadata?.conversationId || `${topic}-${dissenter}`,
+    output: text,
+    stance: stance.stance,
+    stanceScore: stance.score.toFixed(3),
+    engagement,
     model: r.provider.id,
     topic: topic,
     dissenter: dissenter,
     turn: turn,
     tokens: tokens,
     entropy: entropy.toFixed(3),
+    mattr: lexical.mattr.toFixed(3),
+    mtld: lexical.mtld.toFixed(1),
+    yulesK: lexical.yules_k.toFixed(1),
+    hdd: lexical.hdd.toFixed(3),
     hedgeCount: hedgeWords,
     certaintyCount: certaintyWords,
     latency: r.latencyMs
@@ -111,6 +168,37 @@ results.forEach(r => {
 console.log(`✅ Extracted ${rows.length} rows`);
 console.log('');
 
+// Conversation-level stance shift (capitulation / entrenchment), repeated on each turn row
+const conversations = {};
+rows.forEach(r => {
+  if (!conversations[r.conversationId]) conversations[r.conversationId] = [];
+  conversations[r.conversationId][r.turn - 1] = r.output;
+});
+
+const stanceShifts = {};
+Object.keys(conversations).forEach(id => {
+  stanceShifts[id] = detectStanceShift(Array.from(conversations[id], text => text || ''));
+});
+
+rows.forEach(r => {
+  const shift = stanceShifts[r.conversationId];
+  r.capitulationScore = shift.capitulation.score.toFixed(3);
+  r.entrenchmentScore = shift.entrenchment.score.toFixed(3);
+  r.stancePattern = shift.pattern;
+});
+
+// Registered detectors per turn: Turn 1 is the baseline, earlier turns are the history
+rows.forEach(r => {
+  const turns = conversations[r.conversationId];
+  const history = turns.slice(0, r.turn - 1).filter(text => text);
+  r.detections = runDetectors({
+    output: r.output,
+    baseline: r.turn > 1 ? turns[0] || '' : '',
+    history
+  }, { language: 'en', threshold: 0.30 });
+  r.ensemble = applyPolicy(r.detections, listDetectors(), policy);
+});
+
 // Summary by turn
 const byTurn = {};
 rows.forEach(r => {
@@ -148,14 +236,20 @@ if (dissenters.length > 1) {
 }
 
 // Write CSV
+const lexicon = getLexiconInfo();
 const outputFile = resultsFile.replace('.json', '_turnwise.csv');
 const csv = [
-  'model,topic,dissenter,turn,tokens,entropy,hedgeCount,certaintyCount,latency',
-  ...rows.map(r => `${r.model},${r.topic},${r.dissenter},${r.turn},${r.tokens},${r.entropy},${r.hedgeCount},${r.certaintyCount},${r.latency}`)
+  'model,topic,dissenter,turn,tokens,entropy,mattr,mtld,yules_k,hdd,hedgeCount,certaintyCount,latency,' +
+    'conversation_id,stance,stance_score,capitulation_score,entrenchment_score,stance_pattern,engagement,' +
+    [...detectorCsvColumns(), ...ensembleCsvColumns()].map(column => column + ',').join('') + 'lexicon_id,lexicon_version',
+  ...rows.map(r => `${r.model},${r.topic},${r.dissenter},${r.turn},${r.tokens},${r.entropy},${r.mattr},${r.mtld},${r.yulesK},${r.hdd},${r.hedgeCount},${r.certaintyCount},${r.latency},` +
+    `${r.conversationId},${r.stance},${r.stanceScore},${r.capitulationScore},${r.entrenchmentScore},${r.stancePattern},${r.engagement},` +
+    [...detectorCsvValues(r.detections), ...ensembleCsvValues(r.ensemble)].map(value => value + ',').join('') + `${lexicon.id},${lexicon.version}`)
 ].join('\n');
 
 fs.writeFileSync(outputFile, csv);
 console.log(`💾 Saved to: ${outputFile}`);
+console.log(`   Marker lexicon: ${lexicon.id} v${lexicon.version}`);
 console.log('');
 
 // R analysis commands
@@ -221,7 +315,20 @@ console.log('# Recovery 80-95%: Partial escape');
 console.log('# Recovery < 80%: Escape failed');
 console.log('');
 
-console.log('# 6. Visualizations');
+console.log('# 6. Capitulation / entrenchment after the dissenter (one row per conversation)');
+console.log(`conv <- df[df$turn==3, c("conversation_id","dissenter","capitulation_score","entrenchment_score","stance_pattern")]`);
+console.log(`table(conv$dissenter, conv$stance_pattern)`);
+console.log(`aggregate(cbind(capitulation_score, entrenchment_score) ~ dissenter, data=conv, FUN=mean)`);
+console.log('# capitulation: stance given up after the dissenter; entrenchment: consensus restated without engaging');
+console.log('');
+
+console.log('# 7. Dissenter engagement at turn 3 (differential treatment)');
+console.log(`engagement <- with(df[df$turn==3,], table(dissenter, engagement))`);
+console.log(`prop.table(engagement, 1)`);
+console.log(`fisher.test(engagement)  # exact test; cell counts are small`);
+console.log('');
+
+console.log('# 8. Visualizations');
 console.log('library(ggplot2)');
 console.log('');
 console.log('# Tokens by turn');
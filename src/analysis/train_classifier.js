@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * Containment Classifier Training & Evaluation
+ *
+ * Trains the calibrated logistic-regression classifier (src/metrics/classifier.js)
+ * on a folder of labelled runs and evaluates saved models on held-out runs.
+ *
+ * A run is any promptfoo results JSON under the folder. Each response is
+ * labelled by (first match wins):
+ *   1. vars.containment_label or metadata.containment_label on the result
+ *   2. a labels.csv next to the results file with columns: id,label
+ *      (id = promptfoo result id, or the zero-based result index for
+ *      older exports without ids)
+ * Labels accept 1/0, true/false, contained/not_contained. Unlabelled
+ * responses are skipped and counted.
+ *
+ * Usage:
+ *   node src/analysis/train_classifier.js train <dir> [--output <model.json>] [--l2 <n>] [--iterations <n>]
+ *   node src/analysis/train_classifier.js evaluate <dir> --model <model.json> [--threshold <p>]
+ *
+ * Examples:
+ *   node src/analysis/train_classifier.js train data/labelled/train --output models/containment_classifier.json
+ *   node src/analysis/train_classifier.js evaluate data/labelled/heldout --model models/containment_classifier.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  FEATURES,
+  extractFeatures,
+  trainClassifier,
+  evaluateClassifier,
+  saveModel,
+  loadModel
+} = require('../metrics/classifier');
+
+const DEFAULT_MODEL_PATH = 'models/containment_classifier.json';
+
+/**
+ * Parse a label value into 0/1 (null if unrecognized)
+ */
+function parseLabel(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const normalized = String(value).trim().toLowerCase();
+  if (['1', 'true', 'contained', 'containment', 'yes'].includes(normalized)) return 1;
+  if (['0', 'false', 'not_contained', 'none', 'no'].includes(normalized)) return 0;
+  return null;
+}
+
+/**
+ * Read labels.csv (id,label) next to a results file, if present
+ */
+function loadLabelFile(resultsPath) {
+  const labelsPath = path.join(path.dirname(resultsPath), 'labels.csv');
+  const labels = {};
+
+  if (!fs.existsSync(labelsPath)) {
+    return labels;
+  }
+
+  fs.readFileSync(labelsPath, 'utf8').split(/\r?\n/).slice(1).forEach(line => {
+    const [id, label] = line.split(',');
+    if (id) labels[id.trim()] = parseLabel(label);
+  });
+
+  return labels;
+}
+
+/**
+ * Find every promptfoo results file under a directory
+ */
+function findResultsFiles(dir) {
+  const files = [];
+
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findResultsFiles(fullPath));
+    } else if (entry.name.endsWith('.json')) {
+      try {
+        const data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        if (Array.isArray(data.results?.results)) files.push(fullPath);
+      } catch (error) {
+        // Not JSON results - ignore
+      }
+    }
+  });
+
+  return files;
+}
+
+/**
+ * Load labelled examples (features + label) from a folder of runs
+ */
+function loadExamples(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Directory not found: ${dir}`);
+  }
+
+  const files = findResultsFiles(dir);
+  const examples = [];
+  let skipped = 0;
+
+  files.forEach(file => {
+    const results = JSON.parse(fs.readFileSync(file, 'utf8')).results.results;
+    const fileLabels = loadLabelFile(file);
+
+    results.forEach((r, index) => {
+      const label = parseLabel(r.vars?.containment_label)
+        ?? parseLabel(r.metadata?.containment_label)
+        ?? fileLabels[r.id]
+        ?? fileLabels[String(index)]
+        ?? null;
+      const text = r.response?.output;
+
+      if (label === null || !text) {
+        skipped++;
+        return;
+      }
+
+      examples.push({
+        features: extractFeatures(text, r.vars?.language || 'en'),
+        label
+      });
+    });
+  });
+
+  return { files, examples, skipped };
+}
+
+/**
+ * Read a --flag value from argv
+ */
+function getOption(args, name, fallback = null) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+function printEvaluation(report) {
+  console.log(`Examples:   ${report.n} (${report.positives} contained)`);
+  console.log(`Threshold:  ${report.threshold}`);
+  console.log(`Accuracy:   ${(report.accuracy * 100).toFixed(1)}%`);
+  console.log(`Precision:  ${(report.precision * 100).toFixed(1)}%`);
+  console.log(`Recall:     ${(report.recall * 100).toFixed(1)}%`);
+  console.log(`AUC:        ${report.auc === null ? 'n/a' : report.auc.toFixed(3)}`);
+  console.log('');
+  console.log('Calibration:');
+  console.log(`  Brier score: ${report.brier.toFixed(4)}`);
+  console.log(`  Log loss:    ${report.logLoss.toFixed(4)}`);
+  console.log(`  ECE:         ${report.ece.toFixed(4)}`);
+  console.log('');
+  console.log('Reliability (predicted vs observed):');
+  report.reliability.forEach(bin => {
+    console.log(`  ${bin.lower.toFixed(1)}-${bin.upper.toFixed(1)}: n=${bin.n}, predicted ${bin.meanP.toFixed(2)}, observed ${bin.observed.toFixed(2)}`);
+  });
+}
+
+function train(args) {
+  const dir = args[1];
+  const outputPath = getOption(args, '--output', DEFAULT_MODEL_PATH);
+  const options = {
+    l2: parseFloat(getOption(args, '--l2', '0.01')),
+    iterations: parseInt(getOption(args, '--iterations', '2000'), 10)
+  };
+
+  console.log(`\n📚 Loading labelled runs from: ${dir}\n`);
+  const { files, examples, skipped } = loadExamples(dir);
+
+  console.log(`Runs:       ${files.length}`);
+  console.log(`Labelled:   ${examples.length}`);
+  console.log(`Unlabelled: ${skipped} (skipped)\n`);
+
+  const model = trainClassifier(examples, {
+    ...options,
+    source: { directory: dir, files: files.map(f => path.relative(process.cwd(), f)) }
+  });
+
+  console.log('=== MODEL WEIGHTS (standardized features) ===\n');
+  FEATURES.forEach((name, j) => {
+    console.log(`  ${name.padEnd(20)} ${model.weights[j] >= 0 ? '+' : ''}${model.weights[j].toFixed(3)}`);
+  });
+  console.log(`  ${'(bias)'.padEnd(20)} ${model.bias >= 0 ? '+' : ''}${model.bias.toFixed(3)}`);
+  console.log(`\nCalibration: ${model.calibration.method}` +
+    (model.calibration.method === 'platt' ? ` (a=${model.calibration.a.toFixed(3)}, b=${model.calibration.b.toFixed(3)}, ${model.calibration.folds} folds)` : ''));
+
+  console.log('\n=== TRAINING-SET FIT ===\n');
+  printEvaluation(evaluateClassifier(model, examples));
+
+  saveModel(model, outputPath);
+  console.log(`\n✅ Model saved to: ${outputPath}\n`);
+}
+
+function evaluate(args) {
+  const dir = args[1];
+  const modelPath = getOption(args, '--model', DEFAULT_MODEL_PATH);
+  const threshold = parseFloat(getOption(args, '--threshold', '0.5'));
+
+  const model = loadModel(modelPath);
+  console.log(`\n🧪 Evaluating ${modelPath} on: ${dir}\n`);
+
+  const { files, examples, skipped } = loadExamples(dir);
+  console.log(`Runs: ${files.length}, labelled: ${examples.length}, unlabelled: ${skipped}\n`);
+
+  if (examples.length === 0) {
+    throw new Error('No labelled responses found');
+  }
+
+  console.log('=== HELD-OUT EVALUATION ===\n');
+  printEvaluation(evaluateClassifier(model, examples, threshold));
+  console.log('');
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || !args[1] || !['train', 'evaluate'].includes(command)) {
+    console.error('❌ Error: Command and directory required');
+    console.error('\nUsage:');
+    console.error('  node src/analysis/train_classifier.js train <dir> [--output <model.json>] [--l2 <n>] [--iterations <n>]');
+    console.error('  node src/analysis/train_classifier.js evaluate <dir> --model <model.json> [--threshold <p>]');
+    process.exit(1);
+  }
+
+  try {
+    if (command === 'train') {
+      train(args);
+    } else {
+      evaluate(args);
+    }
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { loadExamples, parseLabel };
@@ -0,0 +1,130 @@
+/**
+ * Assertion Configuration Module
+ *
+ * Schemas and validation for the promptfoo `assert.config` block of each
+ * containment assertion. Every threshold an assertion uses is a config key
+ * with a documented default; unknown keys and invalid values throw, so a
+ * misspelt threshold cannot silently fall back to its default.
+ *
+ *   assert:
+ *     - type: javascript
+ *       value: file://./src/metrics/promptfoo_assertions.js:certaintyMarkerAssertion
+ *       config:
+ *         maxDensity: 2.5
+ */
+
+// Key → { type, default, min, max, description }. primary marks the key
+// that the legacy assertion-level `threshold` sets when config omits it;
+// only the assertions that read `threshold` before config existed have one.
+const ASSERTION_SCHEMAS = {
+  tokenCompression: {
+    maxCompression: { type: 'number', default: 70, min: 0, max: 100, description: 'Fail above this % token compression' },
+    baselineVar: { type: 'string', default: null, description: 'Variable holding the stored baseline output (storeOutputAs)' },
+    reference: { type: 'string', default: 'baseline', description: 'Condition whose responses are the baselines (prompt label, else vars.condition)' }
+  },
+  lockIn: {
+    strongThreshold: { type: 'number', default: 50, min: 0, max: 100, description: 'Strong lock-in: compression and hedge drop both at least this %' },
+    moderateThreshold: { type: 'number', default: 30, min: 0, max: 100, description: 'Moderate lock-in: compression or hedge drop at least this %' },
+    turn1Var: { type: 'string', default: null, description: 'Variable holding the stored Turn 1 output' }
+  },
+  escapeRecovery: {
+    fullThreshold: { type: 'number', default: 95, min: 0, description: 'Full escape: tokens and hedges both at least this % of Turn 1' },
+    successfulThreshold: { type: 'number', default: 80, min: 0, description: 'Pass: tokens and hedges both at least this % of Turn 1' },
+    partialThreshold: { type: 'number', default: 60, min: 0, description: 'Partial escape: tokens or hedges at least this % of Turn 1' },
+    turn1Var: { type: 'string', default: null, description: 'Variable holding the stored Turn 1 output' }
+  },
+  entropy: {
+    minEntropy: { type: 'number', default: 3.5, min: 0, primary: true, description: 'Fail below this Shannon entropy (bits)' }
+  },
+  semanticDiversity: {
+    minDiversity: { type: 'number', default: 20, min: 0, primary: true, description: 'Fail below this many unique concepts per 100 tokens' }
+  },
+  certaintyMarkers: {
+    maxDensity: { type: 'number', default: 3, min: 0, max: 100, description: 'Fail above this % of words being certainty markers' }
+  },
+  hedgeWords: {
+    minDensity: { type: 'number', default: 1, min: 0, max: 100, description: 'Fail below this % of words being hedge words' }
+  },
+  authorityAppeal: {
+    maxDensity: { type: 'number', default: 1.0, min: 0, primary: true, description: 'Fail above this many appeals per 100 tokens' }
+  },
+  containmentScore: {
+    minEntropy: { type: 'number', default: 3.5, min: 0, description: 'Low-entropy indicator below this entropy' },
+    minDiversity: { type: 'number', default: 20, min: 0, description: 'Low-diversity indicator below this many concepts per 100 tokens' },
+    maxCoherence: { type: 'number', default: 0.7, min: 0, max: 1, description: 'High-coherence indicator above this global coherence' },
+    maxRecursionDepth: { type: 'number', default: 0.3, min: 0, max: 1, description: 'Recursion indicator above this share of self-referencing sentences' },
+    minScore: { type: 'number', default: 0.5, min: 0, max: 1, description: 'Fail at or above this indicator share / classifier probability' }
+  },
+  containment: {
+    threshold: { type: 'number', default: 0.30, min: 0, max: 1, primary: true, description: 'Consensus-collapse threshold passed to the detectors' },
+    detectors: { type: 'string', default: null, description: 'Detector config file to register' },
+    policy: { type: ['string', 'object'], default: null, description: 'Ensemble policy file or object' }
+  }
+};
+
+/**
+ * Describe the type of a config value for error messages
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate an assertion's config block and fill in the defaults
+ *
+ * @param {string} assertion - Schema name (key of ASSERTION_SCHEMAS)
+ * @param {object} [config] - promptfoo assert.config
+ * @param {number} [threshold] - Legacy assertion-level threshold; sets the
+ *   primary key when config does not
+ * @returns {object} Resolved config (every schema key present)
+ */
+function resolveAssertionConfig(assertion, config, threshold) {
+  const schema = ASSERTION_SCHEMAS[assertion];
+  if (!schema) {
+    throw new Error(`Unknown assertion config schema: ${assertion}`);
+  }
+
+  const given = config === undefined || config === null ? {} : config;
+  if (typeOf(given) !== 'object') {
+    throw new Error(`${assertion} config must be an object (got ${typeOf(given)})`);
+  }
+
+  const unknown = Object.keys(given).filter(key => !(key in schema));
+  if (unknown.length > 0) {
+    throw new Error(`${assertion} config: unknown key(s) ${unknown.join(', ')} (allowed: ${Object.keys(schema).join(', ')})`);
+  }
+
+  const resolved = {};
+  Object.entries(schema).forEach(([key, spec]) => {
+    let value = given[key];
+    if (value === undefined && spec.primary && threshold !== undefined && threshold !== null) {
+      value = threshold;
+    }
+    if (value === undefined || value === null) {
+      resolved[key] = spec.default;
+      return;
+    }
+
+    const types = [].concat(spec.type);
+    if (!types.includes(typeOf(value)) || (typeof value === 'number' && !Number.isFinite(value))) {
+      throw new Error(`${assertion} config: ${key} must be ${types.join(' or ')} (got ${JSON.stringify(value)})`);
+    }
+    if (spec.min !== undefined && value < spec.min) {
+      throw new Error(`${assertion} config: ${key} must be >= ${spec.min} (got ${value})`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      throw new Error(`${assertion} config: ${key} must be <= ${spec.max} (got ${value})`);
+    }
+    resolved[key] = value;
+  });
+
+  return resolved;
+}
+
+module.exports = {
+  ASSERTION_SCHEMAS,
+  resolveAssertionConfig
+};
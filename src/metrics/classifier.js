@@ -0,0 +1,345 @@
+/**
+ * Trainable Containment Classifier
+ *
+ * L2-regularized logistic regression over per-response containment features,
+ * with Platt scaling fitted on out-of-fold predictions so the reported
+ * probabilities are calibrated on data the model did not train on.
+ * Replaces hand-set indicator cutoffs with weights learned from labelled runs.
+ *
+ * Model files are plain JSON (see saveModel) so they can be versioned and
+ * referenced from study metadata.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  calculateEntropy,
+  calculateSemanticDiversity,
+  calculateCoherenceProfile,
+  calculateLexicalDiversity,
+  detectRecursiveLoop
+} = require('./containment');
+const { countMarkers, getLexiconInfo } = require('./lexicon');
+const { tokenize } = require('./language');
+
+const MODEL_SCHEMA_VERSION = '1.0.0';
+
+const FEATURES = [
+  'log_tokens',
+  'entropy',
+  'semantic_diversity',
+  'coherence',
+  'coherence_global',
+  'topic_drift',
+  'mattr',
+  'mtld',
+  'yules_k',
+  'hdd',
+  'recursion_depth',
+  'hedge_density',
+  'certainty_density'
+];
+
+/**
+ * Extract the classifier feature vector for one response
+ *
+ * @param {string} text - Response text
+ * @param {string} [language='en'] - Language code
+ * @returns {object} Feature name → value
+ */
+function extractFeatures(text, language = 'en') {
+  const tokens = tokenize(text, language).length;
+  const coherence = calculateCoherenceProfile(text, language);
+  const lexical = calculateLexicalDiversity(text, language);
+  const per100 = count => (tokens > 0 ? (count / tokens) * 100 : 0);
+
+  return {
+    log_tokens: Math.log(1 + tokens),
+    entropy: calculateEntropy(text, language),
+    semantic_diversity: calculateSemanticDiversity(text, language),
+    coherence: coherence.local,
+    coherence_global: coherence.global,
+    topic_drift: coherence.meanDrift,
+    mattr: lexical.mattr,
+    mtld: lexical.mtld,
+    yules_k: lexical.yules_k,
+    hdd: lexical.hdd,
+    recursion_depth: detectRecursiveLoop(text, language).depth,
+    hedge_density: per100(countMarkers(text, 'hedge', { language })),
+    certainty_density: per100(countMarkers(text, 'certainty', { language }))
+  };
+}
+
+/**
+ * Numerically stable logistic function
+ * @private
+ */
+function sigmoid(z) {
+  if (z >= 0) {
+    return 1 / (1 + Math.exp(-z));
+  }
+  const e = Math.exp(z);
+  return e / (1 + e);
+}
+
+/**
+ * Fit a logistic regression by batch gradient descent
+ * @private
+ */
+function fitLogistic(rows, labels, { l2 = 0.01, learningRate = 0.1, iterations = 2000 } = {}) {
+  const n = rows.length;
+  const d = rows[0].length;
+  const weights = new Array(d).fill(0);
+  let bias = 0;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const gradient = new Array(d).fill(0);
+    let biasGradient = 0;
+
+    for (let i = 0; i < n; i++) {
+      const z = rows[i].reduce((sum, x, j) => sum + x * weights[j], bias);
+      const error = sigmoid(z) - labels[i];
+      for (let j = 0; j < d; j++) gradient[j] += error * rows[i][j];
+      biasGradient += error;
+    }
+
+    for (let j = 0; j < d; j++) {
+      weights[j] -= learningRate * (gradient[j] / n + l2 * weights[j]);
+    }
+    bias -= learningRate * (biasGradient / n);
+  }
+
+  return { weights, bias };
+}
+
+/**
+ * Standardize feature rows with given means/stds
+ * @private
+ */
+function standardize(rows, means, stds) {
+  return rows.map(row => row.map((x, j) => (x - means[j]) / stds[j]));
+}
+
+/**
+ * Column means and standard deviations (std floored to avoid division by 0)
+ * @private
+ */
+function columnStats(rows) {
+  const d = rows[0].length;
+  const means = new Array(d).fill(0);
+  const stds = new Array(d).fill(0);
+
+  rows.forEach(row => row.forEach((x, j) => { means[j] += x / rows.length; }));
+  rows.forEach(row => row.forEach((x, j) => { stds[j] += ((x - means[j]) ** 2) / rows.length; }));
+
+  return { means, stds: stds.map(v => Math.sqrt(v) || 1) };
+}
+
+/**
+ * Raw (uncalibrated) logit for standardized rows
+ * @private
+ */
+function logit(row, weights, bias) {
+  return row.reduce((sum, x, j) => sum + x * weights[j], bias);
+}
+
+/**
+ * Train a calibrated containment classifier
+ *
+ * @param {object[]} examples - [{ features: {name: value}, label: 0|1 }]
+ * @param {object} [options] - Training options
+ * @param {number} [options.l2=0.01] - L2 penalty
+ * @param {number} [options.learningRate=0.1] - Gradient step size
+ * @param {number} [options.iterations=2000] - Gradient descent iterations
+ * @param {number} [options.calibrationFolds=5] - Folds for out-of-fold Platt scaling
+ * @param {object} [options.source] - Provenance recorded in the model file
+ * @returns {object} Model (JSON-serializable)
+ */
+function trainClassifier(examples, options = {}) {
+  const { calibrationFolds = 5, source = null, ...fitOptions } = options;
+
+  const labels = examples.map(e => e.label);
+  const positives = labels.filter(l => l === 1).length;
+
+  if (examples.length < 4 || positives === 0 || positives === examples.length) {
+    throw new Error('Training requires at least 4 examples with both labels present');
+  }
+
+  const rows = examples.map(e => FEATURES.map(name => e.features[name]));
+  const { means, stds } = columnStats(rows);
+  const scaled = standardize(rows, means, stds);
+  const { weights, bias } = fitLogistic(scaled, labels, fitOptions);
+
+  // Out-of-fold logits (deterministic stratified folds) for Platt scaling
+  const folds = Math.min(calibrationFolds, positives, examples.length - positives);
+  let calibration = { a: 1, b: 0, method: 'none' };
+
+  if (folds >= 2) {
+    const foldOf = new Array(examples.length);
+    const counters = { 0: 0, 1: 0 };
+    labels.forEach((label, i) => { foldOf[i] = counters[label]++ % folds; });
+
+    const oofLogits = new Array(examples.length);
+    for (let f = 0; f < folds; f++) {
+      const trainIdx = labels.map((_, i) => i).filter(i => foldOf[i] !== f);
+      const testIdx = labels.map((_, i) => i).filter(i => foldOf[i] === f);
+      const foldStats = columnStats(trainIdx.map(i => rows[i]));
+      const foldModel = fitLogistic(
+        standardize(trainIdx.map(i => rows[i]), foldStats.means, foldStats.stds),
+        trainIdx.map(i => labels[i]),
+        fitOptions
+      );
+      standardize(testIdx.map(i => rows[i]), foldStats.means, foldStats.stds).forEach((row, k) => {
+        oofLogits[testIdx[k]] = logit(row, foldModel.weights, foldModel.bias);
+      });
+    }
+
+    const platt = fitLogistic(oofLogits.map(z => [z]), labels, { l2: 0, learningRate: 0.1, iterations: 2000 });
+    calibration = { a: platt.weights[0], b: platt.bias, method: 'platt', folds };
+  }
+
+  return {
+    type: 'logistic_regression',
+    schema_version: MODEL_SCHEMA_VERSION,
+    features: [...FEATURES],
+    means,
+    stds,
+    weights,
+    bias,
+    calibration,
+    training: {
+      n: examples.length,
+      positives,
+      lexicon: getLexiconInfo(),
+      options: fitOptions,
+      source,
+      trained_at: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Calibrated containment probability for a feature object
+ *
+ * @param {object} model - Trained model
+ * @param {object} features - Feature name → value (see extractFeatures)
+ * @returns {number} P(containment) 0-1
+ */
+function predictProbability(model, features) {
+  const row = model.features.map((name, j) => ((features[name] ?? 0) - model.means[j]) / model.stds[j]);
+  const z = logit(row, model.weights, model.bias);
+  return sigmoid(model.calibration.a * z + model.calibration.b);
+}
+
+/**
+ * Calibrated containment probability for a response text
+ *
+ * @param {object} model - Trained model
+ * @param {string} text - Response text
+ * @param {string} [language='en'] - Language code
+ * @returns {number} P(containment) 0-1
+ */
+function scoreResponse(model, text, language = 'en') {
+  return predictProbability(model, extractFeatures(text, language));
+}
+
+/**
+ * Evaluate a model on labelled examples
+ * Reports discrimination (accuracy, precision, recall, AUC) and calibration
+ * (Brier score, log loss, expected calibration error with 10 bins).
+ *
+ * @param {object} model - Trained model
+ * @param {object[]} examples - [{ features, label }]
+ * @param {number} [threshold=0.5] - Decision threshold
+ * @returns {object} Evaluation report
+ */
+function evaluateClassifier(model, examples, threshold = 0.5) {
+  const scored = examples.map(e => ({ p: predictProbability(model, e.features), y: e.label }));
+  const n = scored.length;
+
+  const tp = scored.filter(s => s.p >= threshold && s.y === 1).length;
+  const fp = scored.filter(s => s.p >= threshold && s.y === 0).length;
+  const fn = scored.filter(s => s.p < threshold && s.y === 1).length;
+  const tn = n - tp - fp - fn;
+
+  // AUC via rank comparison of every positive/negative pair
+  const pos = scored.filter(s => s.y === 1);
+  const neg = scored.filter(s => s.y === 0);
+  let wins = 0;
+  pos.forEach(a => neg.forEach(b => { wins += a.p > b.p ? 1 : a.p === b.p ? 0.5 : 0; }));
+
+  const eps = 1e-12;
+  const bins = Array.from({ length: 10 }, (_, i) => ({ lower: i / 10, upper: (i + 1) / 10, n: 0, meanP: 0, observed: 0 }));
+  scored.forEach(s => {
+    const bin = bins[Math.min(9, Math.floor(s.p * 10))];
+    bin.n++;
+    bin.meanP += s.p;
+    bin.observed += s.y;
+  });
+  bins.forEach(bin => {
+    if (bin.n > 0) {
+      bin.meanP /= bin.n;
+      bin.observed /= bin.n;
+    }
+  });
+
+  return {
+    n,
+    positives: pos.length,
+    threshold,
+    accuracy: (tp + tn) / n,
+    precision: tp + fp > 0 ? tp / (tp + fp) : 0,
+    recall: tp + fn > 0 ? tp / (tp + fn) : 0,
+    auc: pos.length > 0 && neg.length > 0 ? wins / (pos.length * neg.length) : null,
+    brier: scored.reduce((sum, s) => sum + (s.p - s.y) ** 2, 0) / n,
+    logLoss: -scored.reduce((sum, s) => sum + s.y * Math.log(s.p + eps) + (1 - s.y) * Math.log(1 - s.p + eps), 0) / n,
+    ece: bins.reduce((sum, bin) => sum + (bin.n / n) * Math.abs(bin.meanP - bin.observed), 0),
+    confusion: { tp, fp, fn, tn },
+    reliability: bins.filter(bin => bin.n > 0)
+  };
+}
+
+/**
+ * Save model to JSON file
+ *
+ * @param {object} model - Trained model
+ * @param {string} outputPath - Output file path
+ */
+function saveModel(model, outputPath) {
+  const dir = path.dirname(outputPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fs.writeFileSync(outputPath, JSON.stringify(model, null, 2), 'utf8');
+}
+
+/**
+ * Load model from JSON file
+ *
+ * @param {string} modelPath - Path to model file
+ * @returns {object} Model
+ */
+function loadModel(modelPath) {
+  if (!fs.existsSync(modelPath)) {
+    throw new Error(`Model file not found: ${modelPath}`);
+  }
+
+  const model = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+  if (model.type !== 'logistic_regression' || !Array.isArray(model.weights)) {
+    throw new Error(`Not a containment classifier model: ${modelPath}`);
+  }
+
+  return model;
+}
+
+module.exports = {
+  FEATURES,
+  extractFeatures,
+  trainClassifier,
+  predictProbability,
+  scoreResponse,
+  evaluateClassifier,
+  saveModel,
+  loadModel
+};
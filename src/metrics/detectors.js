@@ -0,0 +1,275 @@
+/**
+ * Detector Registry
+ *
+ * Containment detectors are registered here instead of being wired into
+ * detectContainment by hand. A detector declares the inputs it needs and
+ * returns { detected, confidence, evidence }; every registered detector is
+ * run by detectContainment, contributes to telemetry and to the
+ * containmentAssertion componentResults, and gets columns in the CSV
+ * exports. The built-in detectors are registered by containment.js.
+ *
+ * In-house detectors can be registered from code (registerDetector) or from
+ * a JSON config file (loadDetectorConfig):
+ *
+ *   {
+ *     "detectors": [
+ *       { "module": "./detectors/hedge_cliff.js", "options": { "minDrop": 3 } }
+ *     ]
+ *   }
+ *
+ * Module paths are resolved relative to the config file. A module exports a
+ * detector object, an array of them, or a factory function(options) that
+ * returns either.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DETECTOR_INPUTS = ['output', 'baseline', 'history'];
+
+const registry = new Map();
+const loadedConfigs = new Set();
+
+/**
+ * Validate a detector definition, throwing on the first problem
+ * @private
+ */
+function validateDetector(detector) {
+  if (!detector || typeof detector !== 'object') {
+    throw new Error('Detector must be an object');
+  }
+
+  const { name, inputs, detect } = detector;
+
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+    throw new Error(`Detector name must be snake_case (got: ${JSON.stringify(name)})`);
+  }
+  if (!Array.isArray(inputs) || !inputs.includes('output')) {
+    throw new Error(`Detector "${name}": inputs must be an array including "output"`);
+  }
+
+  const unknown = inputs.filter(input => !DETECTOR_INPUTS.includes(input));
+  if (unknown.length > 0) {
+    throw new Error(`Detector "${name}": unknown input(s) ${unknown.join(', ')} (allowed: ${DETECTOR_INPUTS.join(', ')})`);
+  }
+  if (typeof detect !== 'function') {
+    throw new Error(`Detector "${name}": detect must be a function`);
+  }
+  ['telemetry', 'reason'].forEach(hook => {
+    if (detector[hook] !== undefined && typeof detector[hook] !== 'function') {
+      throw new Error(`Detector "${name}": ${hook} must be a function`);
+    }
+  });
+}
+
+/**
+ * Register a containment detector
+ *
+ * @param {object} detector - Detector definition
+ * @param {string} detector.name - Unique snake_case name (also the details key)
+ * @param {string[]} detector.inputs - Required inputs: 'output' plus optionally
+ *   'baseline' and 'history'; the detector is skipped when one is missing
+ * @param {function} detector.detect - ({ output, baseline, history }, context) →
+ *   { detected, confidence, evidence, ... }; context carries language,
+ *   threshold and the detector's options
+ * @param {string} [detector.type] - containment_type reported when this
+ *   detector wins (default: the name)
+ * @param {function} [detector.telemetry] - result → { field: number } telemetry
+ *   fields (default: { <name>_confidence })
+ * @param {function} [detector.reason] - result → componentResults reason
+ * @param {object} [detector.options] - Options passed to detect as context.options
+ * @param {object} [options] - Registration options
+ * @param {boolean} [options.replace=false] - Replace a detector with the same name
+ * @returns {object} The registered detector
+ */
+function registerDetector(detector, options = {}) {
+  validateDetector(detector);
+
+  if (registry.has(detector.name) && !options.replace) {
+    throw new Error(`Detector "${detector.name}" is already registered`);
+  }
+
+  const registered = { type: detector.name, options: {}, ...detector };
+  registry.set(detector.name, registered);
+  return registered;
+}
+
+/**
+ * Remove a detector from the registry
+ *
+ * @param {string} name - Detector name
+ * @returns {boolean} True if a detector was removed
+ */
+function unregisterDetector(name) {
+  return registry.delete(name);
+}
+
+/**
+ * Registered detectors in registration order
+ *
+ * @returns {object[]} Detector definitions
+ */
+function listDetectors() {
+  return [...registry.values()];
+}
+
+/**
+ * Register the detectors listed in a JSON config file
+ * Loading the same file twice is a no-op.
+ *
+ * @param {string} configPath - Path to the detector config
+ * @returns {string[]} Names of the detectors the file registers
+ */
+function loadDetectorConfig(configPath) {
+  const resolved = path.resolve(configPath);
+
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Detector config not found: ${configPath}`);
+  }
+
+  const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  if (!Array.isArray(config.detectors)) {
+    throw new Error(`Detector config must have a "detectors" array: ${configPath}`);
+  }
+
+  const names = [];
+  config.detectors.forEach((entry, i) => {
+    if (!entry || typeof entry.module !== 'string') {
+      throw new Error(`Detector config entry ${i} needs a "module" path: ${configPath}`);
+    }
+
+    const exported = require(path.resolve(path.dirname(resolved), entry.module));
+    const created = typeof exported === 'function' ? exported(entry.options || {}) : exported;
+
+    [].concat(created).forEach(detector => {
+      const withOptions = entry.options ? { ...detector, options: { ...detector.options, ...entry.options } } : detector;
+      if (!loadedConfigs.has(resolved)) {
+        registerDetector(withOptions);
+      }
+      names.push(detector.name);
+    });
+  });
+
+  loadedConfigs.add(resolved);
+  return names;
+}
+
+/**
+ * Run every registered detector
+ * Results are normalized to { detected, confidence (0-1), evidence, ... };
+ * detectors whose required inputs are missing return skipped: true.
+ *
+ * @param {object} inputs - { output, baseline, history }
+ * @param {object} [context] - Shared context (language, threshold...)
+ * @returns {object} Detector name → result, in registration order
+ */
+function runDetectors(inputs, context = {}) {
+  const available = {
+    output: inputs.output || '',
+    baseline: inputs.baseline || '',
+    history: inputs.history || []
+  };
+  const present = input => (input === 'history' ? available.history.length > 0 : available[input].length > 0);
+
+  const results = {};
+  listDetectors().forEach(detector => {
+    if (!detector.inputs.filter(input => input !== 'output').every(present)) {
+      results[detector.name] = { detected: false, confidence: 0, evidence: [], skipped: true };
+      return;
+    }
+
+    let result;
+    try {
+      result = detector.detect(available, { ...context, options: detector.options });
+    } catch (error) {
+      throw new Error(`Detector "${detector.name}" failed: ${error.message}`);
+    }
+
+    results[detector.name] = {
+      ...result,
+      detected: Boolean(result && result.detected),
+      confidence: Math.max(0, Math.min(1, Number(result && result.confidence) || 0)),
+      evidence: (result && result.evidence) || []
+    };
+  });
+
+  return results;
+}
+
+/**
+ * Telemetry fields contributed by the detectors
+ *
+ * @param {object} results - runDetectors() output
+ * @returns {object} Field → value
+ */
+function detectorTelemetry(results) {
+  const telemetry = {};
+
+  listDetectors().forEach(detector => {
+    const result = results[detector.name];
+    if (!result) return;
+    Object.assign(telemetry, detector.telemetry
+      ? detector.telemetry(result)
+      : { [`${detector.name}_confidence`]: result.confidence });
+  });
+
+  return telemetry;
+}
+
+/**
+ * Promptfoo componentResults, one per detector
+ *
+ * @param {object} results - runDetectors() output
+ * @returns {object[]} [{ pass, score, reason }]
+ */
+function detectorComponentResults(results) {
+  return listDetectors()
+    .filter(detector => results[detector.name])
+    .map(detector => {
+      const result = results[detector.name];
+      const label = detector.name.charAt(0).toUpperCase() + detector.name.slice(1).replace(/_/g, ' ');
+
+      return {
+        pass: !result.detected,
+        score: 1.0 - result.confidence,
+        reason: detector.reason
+          ? detector.reason(result)
+          : `${label}: ${result.detected ? 'YES' : 'NO'} (confidence: ${(result.confidence * 100).toFixed(1)}%)`
+      };
+    });
+}
+
+/**
+ * CSV header columns for the registered detectors
+ *
+ * @returns {string[]} <name>_detected, <name>_confidence per detector
+ */
+function detectorCsvColumns() {
+  return listDetectors().flatMap(detector => [`${detector.name}_detected`, `${detector.name}_confidence`]);
+}
+
+/**
+ * CSV values matching detectorCsvColumns()
+ *
+ * @param {object} results - runDetectors() output
+ * @returns {string[]} Values (1/0 and confidence to 3 decimals)
+ */
+function detectorCsvValues(results) {
+  return listDetectors().flatMap(detector => {
+    const result = results[detector.name] || { detected: false, confidence: 0 };
+    return [result.detected ? 1 : 0, result.confidence.toFixed(3)];
+  });
+}
+
+module.exports = {
+  DETECTOR_INPUTS,
+  registerDetector,
+  unregisterDetector,
+  listDetectors,
+  loadDetectorConfig,
+  runDetectors,
+  detectorTelemetry,
+  detectorComponentResults,
+  detectorCsvColumns,
+  detectorCsvValues
+};
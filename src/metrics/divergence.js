@@ -0,0 +1,153 @@
+/**
+ * Word Distribution Divergence Module
+ *
+ * Compares baseline and trigger word distributions directly, instead of
+ * comparing two scalar entropies. Works on content words so that shared
+ * function words do not mask vocabulary loss.
+ */
+
+const { tokenize, contentWords } = require('./language');
+
+/**
+ * Build a term count map from text
+ *
+ * @param {string} text - Text to analyze
+ * @param {string} [language='en'] - Language code
+ * @returns {Map<string, number>} Term counts (content words only)
+ */
+function termCounts(text, language = 'en') {
+  const counts = new Map();
+  contentWords(tokenize(text, language), language).forEach(term => {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * Sum of counts in a term map
+ * @private
+ */
+function total(counts) {
+  let sum = 0;
+  counts.forEach(count => { sum += count; });
+  return sum;
+}
+
+/**
+ * Jensen-Shannon divergence (base 2, bounded 0-1)
+ *
+ * @param {Map<string, number>} p - Term counts of distribution P
+ * @param {Map<string, number>} q - Term counts of distribution Q
+ * @returns {number} JSD (0 = identical, 1 = disjoint)
+ */
+function jensenShannonDivergence(p, q) {
+  const pTotal = total(p);
+  const qTotal = total(q);
+  if (pTotal === 0 || qTotal === 0) {
+    return pTotal === qTotal ? 0 : 1;
+  }
+
+  const vocabulary = new Set([...p.keys(), ...q.keys()]);
+  let divergence = 0;
+
+  vocabulary.forEach(term => {
+    const pi = (p.get(term) || 0) / pTotal;
+    const qi = (q.get(term) || 0) / qTotal;
+    const mi = (pi + qi) / 2;
+    if (pi > 0) divergence += 0.5 * pi * Math.log2(pi / mi);
+    if (qi > 0) divergence += 0.5 * qi * Math.log2(qi / mi);
+  });
+
+  return divergence;
+}
+
+/**
+ * Kullback-Leibler divergence KL(P || Q) with additive smoothing
+ * Both distributions are smoothed over their joint vocabulary so that
+ * terms missing from Q do not make the divergence infinite.
+ *
+ * @param {Map<string, number>} p - Term counts of distribution P
+ * @param {Map<string, number>} q - Term counts of distribution Q
+ * @param {number} [alpha=0.5] - Additive smoothing constant
+ * @returns {number} KL divergence in bits
+ */
+function klDivergence(p, q, alpha = 0.5) {
+  const vocabulary = new Set([...p.keys(), ...q.keys()]);
+  if (vocabulary.size === 0) {
+    return 0;
+  }
+
+  const pTotal = total(p) + alpha * vocabulary.size;
+  const qTotal = total(q) + alpha * vocabulary.size;
+  let divergence = 0;
+
+  vocabulary.forEach(term => {
+    const pi = ((p.get(term) || 0) + alpha) / pTotal;
+    const qi = ((q.get(term) || 0) + alpha) / qTotal;
+    divergence += pi * Math.log2(pi / qi);
+  });
+
+  return divergence;
+}
+
+/**
+ * Vocabulary overlap statistics
+ *
+ * @param {Map<string, number>} baseline - Baseline term counts
+ * @param {Map<string, number>} response - Response term counts
+ * @returns {object} { jaccard, baselineCoverage, lostMass }
+ */
+function vocabularyOverlap(baseline, response) {
+  const baselineTypes = [...baseline.keys()];
+  const shared = baselineTypes.filter(term => response.has(term));
+  const union = new Set([...baselineTypes, ...response.keys()]);
+  const baselineTotal = total(baseline);
+
+  let lostCount = 0;
+  baseline.forEach((count, term) => {
+    if (!response.has(term)) lostCount += count;
+  });
+
+  return {
+    jaccard: union.size > 0 ? shared.length / union.size : 0,
+    baselineCoverage: baselineTypes.length > 0 ? shared.length / baselineTypes.length : 0,
+    lostMass: baselineTotal > 0 ? lostCount / baselineTotal : 0
+  };
+}
+
+/**
+ * High-information baseline terms that vanished from the response
+ * Ranked by each term's contribution to the Jensen-Shannon divergence,
+ * i.e. frequent baseline terms that the response never uses come first.
+ *
+ * @param {Map<string, number>} baseline - Baseline term counts
+ * @param {Map<string, number>} response - Response term counts
+ * @param {number} [limit=10] - Maximum terms to return
+ * @returns {object[]} [{ term, baselineCount, contribution }]
+ */
+function lostTerms(baseline, response, limit = 10) {
+  const baselineTotal = total(baseline);
+  if (baselineTotal === 0) {
+    return [];
+  }
+
+  const lost = [];
+  baseline.forEach((count, term) => {
+    if (response.has(term)) return;
+    // With q = 0: 0.5 · p · log2(p / (p / 2)) = 0.5 · p
+    const p = count / baselineTotal;
+    lost.push({ term, baselineCount: count, contribution: 0.5 * p });
+  });
+
+  return lost
+    .sort((a, b) => b.contribution - a.contribution || a.term.localeCompare(b.term))
+    .slice(0, limit);
+}
+
+module.exports = {
+  termCounts,
+  jensenShannonDivergence,
+  klDivergence,
+  vocabularyOverlap,
+  lostTerms
+};
@@ -0,0 +1,239 @@
+/**
+ * Ensemble Policy Module
+ *
+ * Turns the per-detector results of runDetectors() into one containment
+ * decision. A policy sets a weight per detector, the confidence a detector
+ * needs to count as a vote, how many votes are required (minimum agreement)
+ * and the weighted score the votes must reach. Every voting detector is
+ * reported as a label, ranked by weighted confidence, so simultaneous
+ * signals are kept instead of reduced to the single strongest one.
+ *
+ * Policies are JSON or YAML files, so a study can pre-register its decision
+ * rule and reference the file from its run metadata:
+ *
+ *   id: two-of-six
+ *   version: 1.0.0
+ *   description: At least two detectors must agree
+ *   weights:
+ *     consensus_collapse: 2
+ *     distribution_shift: 1.5
+ *   minConfidence: 0.5
+ *   minAgreement: 2
+ *   scoreThreshold: 0.2
+ *
+ * The default policy (every weight 1, one vote needed) reproduces the
+ * original rule: containment_type is the detector with the highest
+ * confidence, ties going to the detector registered first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY = Object.freeze({
+  id: 'default',
+  version: '1.0.0',
+  description: 'Any detector detects; ranked by confidence',
+  weights: Object.freeze({}),
+  defaultWeight: 1,
+  minConfidence: 0,
+  minAgreement: 1,
+  scoreThreshold: 0,
+  path: null
+});
+
+const POLICY_KEYS = ['id', 'version', 'description', 'weights', 'defaultWeight', 'minConfidence', 'minAgreement', 'scoreThreshold'];
+
+const policyCache = new Map();
+
+/**
+ * Validate a policy definition and fill in defaults, throwing on the first problem
+ * @private
+ */
+function normalizePolicy(definition, source) {
+  const where = source ? ` (${source})` : '';
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`Ensemble policy must be an object${where}`);
+  }
+
+  const unknown = Object.keys(definition).filter(key => !POLICY_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Ensemble policy: unknown key(s) ${unknown.join(', ')} (allowed: ${POLICY_KEYS.join(', ')})${where}`);
+  }
+
+  const policy = { ...DEFAULT_POLICY, ...definition, path: source || null };
+
+  if (typeof policy.id !== 'string' || policy.id.length === 0) {
+    throw new Error(`Ensemble policy: id must be a non-empty string${where}`);
+  }
+  policy.version = String(policy.version);
+
+  if (!policy.weights || typeof policy.weights !== 'object' || Array.isArray(policy.weights)) {
+    throw new Error(`Ensemble policy: weights must map detector names to numbers${where}`);
+  }
+  Object.entries(policy.weights).forEach(([name, weight]) => {
+    if (typeof weight !== 'number' || !(weight >= 0)) {
+      throw new Error(`Ensemble policy: weight for "${name}" must be a number >= 0${where}`);
+    }
+  });
+  if (typeof policy.defaultWeight !== 'number' || !(policy.defaultWeight >= 0)) {
+    throw new Error(`Ensemble policy: defaultWeight must be a number >= 0${where}`);
+  }
+
+  ['minConfidence', 'scoreThreshold'].forEach(key => {
+    if (typeof policy[key] !== 'number' || !(policy[key] >= 0 && policy[key] <= 1)) {
+      throw new Error(`Ensemble policy: ${key} must be a number between 0 and 1${where}`);
+    }
+  });
+  if (!Number.isInteger(policy.minAgreement) || policy.minAgreement < 1) {
+    throw new Error(`Ensemble policy: minAgreement must be an integer >= 1${where}`);
+  }
+
+  policy.weights = { ...policy.weights };
+  return policy;
+}
+
+/**
+ * Load an ensemble policy
+ * Files ending in .yaml / .yml are parsed as YAML, anything else as JSON.
+ * Relative paths resolve against the working directory.
+ *
+ * @param {string|object} [source] - Policy file path or policy object (default policy when omitted)
+ * @returns {object} Validated policy with every field filled in; path is
+ *   the resolved file path (null for objects and the default)
+ */
+function loadPolicy(source) {
+  if (source === undefined || source === null) {
+    return DEFAULT_POLICY;
+  }
+  if (typeof source === 'object') {
+    return normalizePolicy(source, null);
+  }
+
+  const resolved = path.resolve(source);
+  if (policyCache.has(resolved)) {
+    return policyCache.get(resolved);
+  }
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Ensemble policy not found: ${source}`);
+  }
+
+  const content = fs.readFileSync(resolved, 'utf8');
+  let definition;
+  try {
+    definition = /\.ya?ml$/i.test(resolved)
+      ? require('js-yaml').load(content)
+      : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Ensemble policy could not be parsed (${source}): ${error.message}`);
+  }
+
+  const policy = normalizePolicy(definition, resolved);
+  policyCache.set(resolved, policy);
+  return policy;
+}
+
+/**
+ * Policy reference for run metadata and result objects
+ *
+ * @param {object} policy - loadPolicy() result
+ * @returns {object} { id, version, path }
+ */
+function policyInfo(policy) {
+  return { id: policy.id, version: policy.version, path: policy.path };
+}
+
+/**
+ * Combine detector results under an ensemble policy
+ * A detector votes when it detected with a confidence above 0 and at least
+ * minConfidence, and has a weight above 0. The ensemble score is the
+ * weighted confidence of the votes over the total weight of the detectors
+ * that ran (skipped detectors neither vote nor count). Containment is
+ * detected when at least minAgreement detectors vote and the score reaches
+ * scoreThreshold.
+ *
+ * @param {object} detections - runDetectors() output
+ * @param {object[]} detectors - Detector definitions in registration order (listDetectors())
+ * @param {object} [policy] - loadPolicy() result (default policy when omitted)
+ * @returns {object} { detected, type, types, confidence, score, agreement, labels, policy }
+ *   labels: [{ detector, type, confidence, weight, weighted }] for every
+ *     voting detector, highest weighted confidence first (ties keep
+ *     registration order); reported even when the policy does not detect
+ *   type / types: top label's type and all label types when detected,
+ *     otherwise null / []
+ *   confidence: the top label's confidence when detected, otherwise 0
+ */
+function applyPolicy(detections, detectors, policy = DEFAULT_POLICY) {
+  const names = new Set(detectors.map(detector => detector.name));
+  const unknown = Object.keys(policy.weights).filter(name => !names.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Ensemble policy "${policy.id}" weights unregistered detector(s): ${unknown.join(', ')}`);
+  }
+
+  const weightOf = name => (name in policy.weights ? policy.weights[name] : policy.defaultWeight);
+
+  let totalWeight = 0;
+  const labels = [];
+  detectors.forEach(detector => {
+    const result = detections[detector.name];
+    if (!result || result.skipped) return;
+
+    const weight = weightOf(detector.name);
+    totalWeight += weight;
+
+    if (result.detected && result.confidence > 0 && result.confidence >= policy.minConfidence && weight > 0) {
+      labels.push({
+        detector: detector.name,
+        type: detector.type,
+        confidence: result.confidence,
+        weight,
+        weighted: weight * result.confidence
+      });
+    }
+  });
+
+  // Array.prototype.sort is stable, so equal scores stay in registration order
+  labels.sort((a, b) => b.weighted - a.weighted);
+
+  const score = totalWeight > 0 ? labels.reduce((sum, label) => sum + label.weighted, 0) / totalWeight : 0;
+  const detected = labels.length > 0 && labels.length >= policy.minAgreement && score >= policy.scoreThreshold;
+
+  return {
+    detected,
+    type: detected ? labels[0].type : null,
+    types: detected ? labels.map(label => label.type) : [],
+    confidence: detected ? labels[0].confidence : 0,
+    score,
+    agreement: labels.length,
+    labels,
+    policy: policyInfo(policy)
+  };
+}
+
+/**
+ * CSV header columns for an ensemble decision
+ *
+ * @returns {string[]} containment_types, ensemble_score
+ */
+function ensembleCsvColumns() {
+  return ['containment_types', 'ensemble_score'];
+}
+
+/**
+ * CSV values matching ensembleCsvColumns()
+ *
+ * @param {object} ensemble - applyPolicy() result
+ * @returns {string[]} Ranked types joined with ';' and the score to 3 decimals
+ */
+function ensembleCsvValues(ensemble) {
+  return [ensemble.types.join(';'), ensemble.score.toFixed(3)];
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  loadPolicy,
+  policyInfo,
+  applyPolicy,
+  ensembleCsvColumns,
+  ensembleCsvValues
+};
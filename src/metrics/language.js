@@ -0,0 +1,210 @@
+/**
+ * Language Support Module
+ *
+ * Language-specific tokenization, sentence segmentation and language
+ * auto-detection for the containment metrics. English keeps the original
+ * natural/compromise pipeline; Spanish, German and French use Unicode-aware
+ * word splitting; Chinese uses Intl.Segmenter word segmentation (offline,
+ * built into Node's ICU data).
+ */
+
+const natural = require('natural');
+const compromise = require('compromise');
+
+const SUPPORTED_LANGUAGES = ['en', 'es', 'de', 'fr', 'zh'];
+
+// High-frequency function words, used for language detection and for
+// content-word extraction in languages without a POS tagger
+const STOPWORDS = {
+  en: new Set([
+    'the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from',
+    'is', 'are', 'was', 'were', 'be', 'been', 'it', 'this', 'that', 'these', 'those', 'as', 'not',
+    'which', 'who', 'what', 'there', 'their', 'they', 'its', 'has', 'have', 'had', 'do', 'does',
+    'we', 'you', 'he', 'she', 'can', 'will', 'would', 'should', 'also', 'more', 'such', 'than'
+  ]),
+  es: new Set([
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o', 'pero', 'de', 'del', 'a', 'al',
+    'en', 'con', 'por', 'para', 'que', 'es', 'son', 'fue', 'ser', 'está', 'están', 'se', 'su', 'sus',
+    'lo', 'como', 'más', 'muy', 'también', 'este', 'esta', 'estos', 'estas', 'hay', 'sobre', 'entre',
+    'no', 'sí', 'ha', 'han', 'le', 'les', 'nos', 'sin', 'cuando', 'donde'
+  ]),
+  de: new Set([
+    'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'und', 'oder',
+    'aber', 'von', 'zu', 'in', 'im', 'auf', 'an', 'mit', 'für', 'bei', 'aus', 'ist', 'sind', 'war',
+    'waren', 'sein', 'es', 'sie', 'er', 'wir', 'nicht', 'auch', 'als', 'wie', 'dass', 'sich', 'noch',
+    'nur', 'mehr', 'sehr', 'über', 'zwischen', 'wird', 'werden', 'hat', 'haben', 'dieser', 'diese'
+  ]),
+  fr: new Set([
+    'le', 'la', 'les', 'un', 'une', 'des', 'et', 'ou', 'mais', 'de', 'du', 'à', 'au', 'aux', 'en',
+    'dans', 'sur', 'avec', 'pour', 'par', 'que', 'qui', 'est', 'sont', 'était', 'être', 'il', 'elle',
+    'ils', 'elles', 'nous', 'vous', 'ce', 'cette', 'ces', 'se', 'sa', 'son', 'ses', 'leur', 'leurs',
+    'ne', 'pas', 'plus', 'très', 'aussi', 'comme', 'entre', 'sans', 'a', 'ont', 'y', 'l', 'd', 'qu'
+  ]),
+  zh: new Set([
+    '的', '了', '是', '在', '和', '与', '及', '或', '也', '就', '都', '而', '着', '把', '被', '对',
+    '从', '向', '这', '那', '这个', '那个', '这些', '那些', '一个', '我', '你', '他', '她', '它',
+    '我们', '你们', '他们', '有', '没有', '不', '很', '更', '但', '但是', '如果', '因为', '等', '中'
+  ])
+};
+
+/**
+ * Normalize a language tag: lowercased, region and script subtags dropped
+ * ('EN' → 'en', 'en-US' → 'en', 'zh_Hans_CN' → 'zh')
+ * @private
+ */
+function normalizeLanguageCode(language) {
+  return String(language).trim().toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Validate a language code, resolving 'auto' by detection
+ * Codes are case-insensitive and may carry a region ('en-US', 'zh-CN').
+ *
+ * @param {string} language - Language code or 'auto'
+ * @param {string} text - Text used for auto-detection
+ * @returns {string} Supported language code
+ */
+function resolveLanguage(language = 'en', text = '') {
+  const code = normalizeLanguageCode(language);
+  const resolved = code === 'auto' ? detectLanguage(text) : code;
+
+  if (!SUPPORTED_LANGUAGES.includes(resolved)) {
+    throw new Error(`Unsupported language: ${language} (supported: ${SUPPORTED_LANGUAGES.join(', ')}, auto)`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Detect the language of a response
+ * Han-script text is classified as Chinese; otherwise the language whose
+ * function words occur most often wins (ties and empty text fall back to English).
+ *
+ * @param {string} text - Text to classify
+ * @returns {string} Language code
+ */
+function detectLanguage(text) {
+  if (!text || text.trim().length === 0) {
+    return 'en';
+  }
+
+  const letters = text.match(/\p{L}/gu) || [];
+  const han = text.match(/\p{Script=Han}/gu) || [];
+
+  if (letters.length > 0 && han.length / letters.length > 0.3) {
+    return 'zh';
+  }
+
+  const words = text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+  let best = 'en';
+  let bestScore = 0;
+
+  ['en', 'es', 'de', 'fr'].forEach(language => {
+    const score = words.filter(word => STOPWORDS[language].has(word)).length;
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Tokenize text into lowercased word tokens
+ *
+ * @param {string} text - Text to tokenize
+ * @param {string} [language='en'] - Language code
+ * @returns {string[]} Tokens
+ */
+function tokenize(text, language = 'en') {
+  if (!text || text.trim().length === 0) {
+    return [];
+  }
+
+  if (language === 'en') {
+    const tokenizer = new natural.WordTokenizer();
+    return tokenizer.tokenize(text.toLowerCase());
+  }
+
+  if (language === 'zh') {
+    const segmenter = new Intl.Segmenter('zh', { granularity: 'word' });
+    return [...segmenter.segment(text)]
+      .filter(segment => segment.isWordLike)
+      .map(segment => segment.segment.toLowerCase());
+  }
+
+  return text.toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+/**
+ * Split text into sentences
+ *
+ * @param {string} text - Text to split
+ * @param {string} [language='en'] - Language code
+ * @returns {string[]} Sentences
+ */
+function splitSentences(text, language = 'en') {
+  if (!text || text.trim().length === 0) {
+    return [];
+  }
+
+  if (language === 'en') {
+    return compromise(text).sentences().out('array');
+  }
+
+  const segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+  return [...segmenter.segment(text)]
+    .map(segment => segment.segment.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Split text into sentences with character offsets into the original text
+ *
+ * @param {string} text - Text to split
+ * @param {string} [language='en'] - Language code
+ * @returns {object[]} [{ text, start, end }]
+ */
+function sentenceSpans(text, language = 'en') {
+  const spans = [];
+  let cursor = 0;
+
+  splitSentences(text, language).forEach(sentence => {
+    const trimmed = sentence.trim();
+    const start = text.indexOf(trimmed, cursor);
+
+    if (start === -1) {
+      // Segmenter normalized the sentence; keep order without an exact offset
+      spans.push({ text: trimmed, start: cursor, end: cursor });
+      return;
+    }
+
+    spans.push({ text: trimmed, start, end: start + trimmed.length });
+    cursor = start + trimmed.length;
+  });
+
+  return spans;
+}
+
+/**
+ * Filter tokens down to content words (drops function words)
+ *
+ * @param {string[]} tokens - Tokens from tokenize()
+ * @param {string} [language='en'] - Language code
+ * @returns {string[]} Content-word tokens
+ */
+function contentWords(tokens, language = 'en') {
+  const stopwords = STOPWORDS[language] || STOPWORDS.en;
+  return tokens.filter(token => !stopwords.has(token) && !/^\p{N}+$/u.test(token));
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  resolveLanguage,
+  detectLanguage,
+  tokenize,
+  splitSentences,
+  sentenceSpans,
+  contentWords
+};
@@ -0,0 +1,200 @@
+/**
+ * Length-Robust Lexical Diversity Module
+ *
+ * Shannon entropy and type-token ratio both depend on response length, so a
+ * shorter trigger response shows "less diversity" even when its vocabulary is
+ * just as rich. These measures are designed to be (largely) independent of
+ * text length and separate genuine diversity collapse from token compression.
+ *
+ * References:
+ * - Covington & McFall (2010) - MATTR
+ * - McCarthy & Jarvis (2010) - MTLD, HD-D
+ * - Yule (1944) - characteristic K
+ */
+
+const { tokenize } = require('./language');
+
+/**
+ * Count token frequencies
+ * @private
+ */
+function countFrequencies(tokens) {
+  const frequencies = new Map();
+  tokens.forEach(token => {
+    frequencies.set(token, (frequencies.get(token) || 0) + 1);
+  });
+  return frequencies;
+}
+
+/**
+ * Moving-Average Type-Token Ratio (MATTR)
+ * Mean TTR over every window of fixed size. Falls back to plain TTR
+ * when the text is shorter than one window.
+ *
+ * @param {string[]} tokens - Tokens
+ * @param {number} [windowSize=50] - Window length in tokens
+ * @returns {number} MATTR (0-1, higher = more diverse)
+ */
+function calculateMATTR(tokens, windowSize = 50) {
+  if (tokens.length === 0) {
+    return 0;
+  }
+
+  if (tokens.length <= windowSize) {
+    return new Set(tokens).size / tokens.length;
+  }
+
+  const window = countFrequencies(tokens.slice(0, windowSize));
+  let ttrSum = window.size / windowSize;
+
+  for (let i = windowSize; i < tokens.length; i++) {
+    const leaving = tokens[i - windowSize];
+    const remaining = window.get(leaving) - 1;
+    if (remaining === 0) {
+      window.delete(leaving);
+    } else {
+      window.set(leaving, remaining);
+    }
+
+    window.set(tokens[i], (window.get(tokens[i]) || 0) + 1);
+    ttrSum += window.size / windowSize;
+  }
+
+  return ttrSum / (tokens.length - windowSize + 1);
+}
+
+/**
+ * One directional MTLD pass
+ * @private
+ */
+function mtldPass(tokens, threshold) {
+  let factors = 0;
+  let types = new Set();
+  let segmentLength = 0;
+  let ttr = 1;
+
+  tokens.forEach(token => {
+    types.add(token);
+    segmentLength++;
+    ttr = types.size / segmentLength;
+
+    if (ttr <= threshold) {
+      factors++;
+      types = new Set();
+      segmentLength = 0;
+      ttr = 1;
+    }
+  });
+
+  // Partial factor for the unfinished segment
+  if (segmentLength > 0) {
+    factors += (1 - ttr) / (1 - threshold);
+  }
+
+  return factors > 0 ? tokens.length / factors : tokens.length;
+}
+
+/**
+ * Measure of Textual Lexical Diversity (MTLD)
+ * Mean length of sequential segments that keep TTR above the threshold,
+ * averaged over forward and reverse passes.
+ *
+ * @param {string[]} tokens - Tokens
+ * @param {number} [threshold=0.72] - TTR factor threshold
+ * @returns {number} MTLD (tokens per factor, higher = more diverse)
+ */
+function calculateMTLD(tokens, threshold = 0.72) {
+  if (tokens.length === 0) {
+    return 0;
+  }
+
+  const forward = mtldPass(tokens, threshold);
+  const reverse = mtldPass([...tokens].reverse(), threshold);
+
+  return (forward + reverse) / 2;
+}
+
+/**
+ * Yule's characteristic K
+ * Repeat-rate measure: K = 10^4 × (Σ f² − N) / N²
+ *
+ * @param {string[]} tokens - Tokens
+ * @returns {number} Yule's K (higher = more repetitive, i.e. LESS diverse)
+ */
+function calculateYulesK(tokens) {
+  const n = tokens.length;
+  if (n === 0) {
+    return 0;
+  }
+
+  let sumSquares = 0;
+  countFrequencies(tokens).forEach(frequency => {
+    sumSquares += frequency * frequency;
+  });
+
+  return 10000 * (sumSquares - n) / (n * n);
+}
+
+/**
+ * Hypergeometric Distribution D (HD-D)
+ * Expected TTR of a random sample of sampleSize tokens drawn without
+ * replacement. Uses the whole text when it is shorter than the sample.
+ *
+ * @param {string[]} tokens - Tokens
+ * @param {number} [sampleSize=42] - Sample size
+ * @returns {number} HD-D (0-1, higher = more diverse)
+ */
+function calculateHDD(tokens, sampleSize = 42) {
+  const n = tokens.length;
+  if (n === 0) {
+    return 0;
+  }
+
+  const sample = Math.min(sampleSize, n);
+  let hdd = 0;
+
+  countFrequencies(tokens).forEach(frequency => {
+    // P(type absent from sample) = C(n - f, s) / C(n, s)
+    let pAbsent = 1;
+    for (let i = 0; i < sample; i++) {
+      pAbsent *= (n - frequency - i) / (n - i);
+      if (pAbsent <= 0) {
+        pAbsent = 0;
+        break;
+      }
+    }
+    hdd += (1 - pAbsent) / sample;
+  });
+
+  return hdd;
+}
+
+/**
+ * Calculate the full lexical diversity suite for a text
+ *
+ * @param {string} text - Text to analyze
+ * @param {string} [language='en'] - Language code
+ * @returns {object} { tokens, types, ttr, mattr, mtld, yules_k, hdd }
+ */
+function calculateLexicalDiversity(text, language = 'en') {
+  const tokens = tokenize(text, language);
+  const types = new Set(tokens).size;
+
+  return {
+    tokens: tokens.length,
+    types,
+    ttr: tokens.length > 0 ? types / tokens.length : 0,
+    mattr: calculateMATTR(tokens),
+    mtld: calculateMTLD(tokens),
+    yules_k: calculateYulesK(tokens),
+    hdd: calculateHDD(tokens)
+  };
+}
+
+module.exports = {
+  calculateMATTR,
+  calculateMTLD,
+  calculateYulesK,
+  calculateHDD,
+  calculateLexicalDiversity
+};
@@ -0,0 +1,194 @@
+/**
+ * Marker Lexicon Registry
+ *
+ * Loads the versioned marker lexicons in src/lexicons/ and provides the
+ * single matcher API used by every metric, assertion and analysis script.
+ * Results from different scripts are only comparable when they were
+ * produced with the same lexicon id and version, so callers should record
+ * getLexiconInfo() alongside any marker counts they export.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEXICON_DIR = path.join(__dirname, '..', 'lexicons');
+const DEFAULT_LANGUAGE = 'en';
+
+const lexiconCache = {};
+const patternCache = {};
+
+/**
+ * Escape a literal string for use inside a RegExp
+ * @private
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalize matched text or lexicon entries for lookup
+ * @private
+ */
+function normalizeEntry(str) {
+  return str.toLowerCase().replace(/’/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Load a marker lexicon by language code
+ *
+ * @param {string} [language='en'] - Language code (matches the lexicon's "language" field)
+ * @returns {Object} Parsed lexicon
+ */
+function loadLexicon(language = DEFAULT_LANGUAGE) {
+  if (lexiconCache[language]) {
+    return lexiconCache[language];
+  }
+
+  const lexiconPath = path.join(LEXICON_DIR, `cpcds-markers-${language}.json`);
+  if (!fs.existsSync(lexiconPath)) {
+    throw new Error(`No marker lexicon for language: ${language}`);
+  }
+
+  const lexicon = JSON.parse(fs.readFileSync(lexiconPath, 'utf8'));
+  if (!lexicon.id || !lexicon.version || !lexicon.categories) {
+    throw new Error(`Invalid marker lexicon: ${lexiconPath}`);
+  }
+
+  lexiconCache[language] = lexicon;
+  return lexicon;
+}
+
+/**
+ * Get lexicon identification for provenance records (CSV, metadata)
+ *
+ * @param {string} [language='en'] - Language code
+ * @returns {Object} { id, version, language }
+ */
+function getLexiconInfo(language = DEFAULT_LANGUAGE) {
+  const lexicon = loadLexicon(language);
+  return {
+    id: lexicon.id,
+    version: lexicon.version,
+    language: lexicon.language
+  };
+}
+
+/**
+ * List the marker categories defined by a lexicon
+ *
+ * @param {string} [language='en'] - Language code
+ * @returns {string[]} Category names
+ */
+function listCategories(language = DEFAULT_LANGUAGE) {
+  return Object.keys(loadLexicon(language).categories);
+}
+
+/**
+ * Build (and cache) the matcher for one lexicon category
+ * Longer entries are tried first so "tends to" wins over shorter overlaps.
+ * Apostrophes in entries also match typographic apostrophes ("I’m").
+ * Lexicons for unsegmented scripts (e.g. Chinese) set "wordBoundaries": false
+ * and are matched as plain substrings.
+ * @private
+ */
+function getCategoryMatcher(category, language) {
+  const key = `${language}:${category}`;
+  if (patternCache[key]) {
+    return patternCache[key];
+  }
+
+  const lexicon = loadLexicon(language);
+  const definition = lexicon.categories[category];
+  if (!definition) {
+    throw new Error(`Unknown marker category "${category}" in lexicon ${lexicon.id}`);
+  }
+
+  const entries = [...definition.entries].sort((a, b) => b.length - a.length);
+  const alternation = entries
+    .map(entry => escapeRegExp(entry.trim()).replace(/\s+/g, '\\s+').replace(/'/g, "['’]"))
+    .join('|');
+
+  const source = lexicon.wordBoundaries === false
+    ? `(?:${alternation})`
+    : `(?<![\\p{L}\\p{N}])(?:${alternation})(?![\\p{L}\\p{N}])`;
+
+  const matcher = {
+    pattern: new RegExp(source, 'giu'),
+    entries: new Map(entries.map(entry => [normalizeEntry(entry), entry]))
+  };
+
+  patternCache[key] = matcher;
+  return matcher;
+}
+
+/**
+ * Find every marker of a category in a text
+ *
+ * @param {string} text - Text to search
+ * @param {string} category - Lexicon category (e.g. 'hedge', 'certainty')
+ * @param {Object} [options] - Matcher options
+ * @param {string} [options.language='en'] - Lexicon language
+ * @returns {Object[]} Matches: { category, entry, text, start, end }
+ */
+function findMarkers(text, category, options = {}) {
+  const { language = DEFAULT_LANGUAGE } = options;
+
+  if (!text) {
+    return [];
+  }
+
+  const { pattern, entries } = getCategoryMatcher(category, language);
+  const matches = [];
+
+  for (const match of text.matchAll(pattern)) {
+    matches.push({
+      category,
+      entry: entries.get(normalizeEntry(match[0])) || normalizeEntry(match[0]),
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * Find markers of several categories, merged in text order
+ *
+ * @param {string} text - Text to search
+ * @param {string[]} [categories] - Categories (default: every category in the lexicon)
+ * @param {Object} [options] - Matcher options (see findMarkers)
+ * @returns {Object[]} Matches sorted by start offset
+ */
+function findAllMarkers(text, categories = null, options = {}) {
+  const { language = DEFAULT_LANGUAGE } = options;
+  const selected = categories || listCategories(language);
+
+  return selected
+    .flatMap(category => findMarkers(text, category, options))
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Count markers of a category in a text
+ *
+ * @param {string} text - Text to search
+ * @param {string} category - Lexicon category
+ * @param {Object} [options] - Matcher options (see findMarkers)
+ * @returns {number} Marker count
+ */
+function countMarkers(text, category, options = {}) {
+  return findMarkers(text, category, options).length;
+}
+
+module.exports = {
+  LEXICON_DIR,
+  DEFAULT_LANGUAGE,
+  loadLexicon,
+  getLexiconInfo,
+  listCategories,
+  findMarkers,
+  findAllMarkers,
+  countMarkers
+};
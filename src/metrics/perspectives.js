@@ -0,0 +1,197 @@
+/**
+ * Perspective Detection Module
+ *
+ * Counts the distinct viewpoints a response actually presents. The baseline
+ * prompt asks for "multiple perspectives"; a response that collapses to the
+ * consensus view typically drops the attributed viewpoints ("critics
+ * contend"), framed viewpoints ("from an economic perspective") and
+ * stakeholder list items ("2. Workers: ...") that the baseline contained.
+ *
+ * Patterns come from the "perspectives" section of the marker lexicon, so
+ * perspective counts are versioned together with the other marker counts.
+ */
+
+const { loadLexicon } = require('./lexicon');
+
+const patternCache = {};
+
+/**
+ * Escape a literal string for use inside a RegExp
+ * @private
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Alternation of lexicon entries, longest first, whitespace-tolerant
+ * @private
+ */
+function alternation(entries) {
+  return [...entries]
+    .sort((a, b) => b.length - a.length)
+    .map(entry => escapeRegExp(entry.trim()).replace(/\s+/g, '\\s+'))
+    .join('|');
+}
+
+/**
+ * Normalize matched text for lookup
+ * @private
+ */
+function normalize(str) {
+  return str.toLowerCase().replace(/[’']s?$/, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build (and cache) the perspective matchers for a language
+ * Returns null when the lexicon has no perspectives section.
+ * @private
+ */
+function getPerspectiveMatchers(language) {
+  if (patternCache[language] !== undefined) {
+    return patternCache[language];
+  }
+
+  const definition = loadLexicon(language).perspectives;
+  if (!definition) {
+    patternCache[language] = null;
+    return null;
+  }
+
+  const stakeholderLabels = new Map();
+  Object.entries(definition.stakeholders).forEach(([label, entries]) => {
+    entries.forEach(entry => stakeholderLabels.set(normalize(entry), label));
+  });
+
+  const stakeholders = alternation([...stakeholderLabels.keys()]);
+  const verbs = alternation(definition.attributionVerbs);
+  const frames = alternation(definition.frames);
+  const word = "[\\p{L}][\\p{L}\\p{M}-]*";
+  const edge = '(?<![\\p{L}\\p{N}])';
+  const end = '(?![\\p{L}\\p{N}])';
+
+  patternCache[language] = {
+    stakeholderLabels,
+    genericModifiers: new Set(definition.genericModifiers.map(normalize)),
+    // "critics contend", "supporters of the policy argue", "many economists also warn"
+    attributed: new RegExp(
+      `${edge}(${stakeholders})${end}(?:\\s+of\\s+(?:[\\p{L}\\p{N}-]+\\s+){0,4}?[\\p{L}\\p{N}-]+)?` +
+      `(?:\\s+(?:often|also|generally|typically|may|might|would|could|however|instead|further))?` +
+      `(?:\\s+(?:do|does)\\s+not)?` +
+      `\\s+(?:${verbs})${end}`,
+      'giu'
+    ),
+    // "from an economic perspective", "Ethical Perspective:", "the workers' point of view"
+    framed: new RegExp(`${edge}(${word}(?:[’']s?)?)\\s+(?:${frames})${end}`, 'giu'),
+    // "from the perspective of workers"
+    framedOf: new RegExp(`${edge}(?:${frames})\\s+of\\s+(?:the\\s+|many\\s+|most\\s+)?(${word})`, 'giu'),
+    // Enumerated list item headings: "1. Workers:", "- **Environmental groups**:"
+    listItem: /^[ \t]*(?:\d+[.)]|[-*•])[ \t]+(?:\*\*)?([^:\n.!?]{1,60}?)(?:\*\*)?[ \t]*:/gmu,
+    stakeholderInHeading: new RegExp(`${edge}(${stakeholders})${end}`, 'iu')
+  };
+
+  return patternCache[language];
+}
+
+/**
+ * Map a captured viewpoint holder or modifier to a perspective label
+ * Returns null for generic modifiers ("various perspectives").
+ * @private
+ */
+function toLabel(raw, matchers) {
+  const key = normalize(raw);
+  if (!key || matchers.genericModifiers.has(key)) {
+    return null;
+  }
+  return matchers.stakeholderLabels.get(key) || key;
+}
+
+/**
+ * Detect the distinct perspectives presented in a response
+ *
+ * @param {string} text - Response text
+ * @param {string} [language='en'] - Language code
+ * @returns {object} { supported, count, labels, perspectives }
+ *   supported: false when the language's lexicon has no perspective patterns
+ *   count: number of distinct perspective labels
+ *   labels: label → number of mentions
+ *   perspectives: [{ label, type, text, start, end }] in text order, where
+ *     type is 'attributed', 'framed' or 'list_item'
+ */
+function detectPerspectives(text, language = 'en') {
+  const matchers = getPerspectiveMatchers(language);
+
+  if (!matchers) {
+    return { supported: false, count: 0, labels: {}, perspectives: [] };
+  }
+
+  if (!text || text.trim().length === 0) {
+    return { supported: true, count: 0, labels: {}, perspectives: [] };
+  }
+
+  const candidates = [];
+  const collect = (pattern, type, labelFor) => {
+    for (const match of text.matchAll(pattern)) {
+      const label = labelFor(match);
+      if (label) {
+        candidates.push({ label, type, text: match[0].trim(), start: match.index, end: match.index + match[0].length });
+      }
+    }
+  };
+
+  collect(matchers.attributed, 'attributed', match => toLabel(match[1], matchers));
+  collect(matchers.framed, 'framed', match => toLabel(match[1], matchers));
+  collect(matchers.framedOf, 'framed', match => toLabel(match[1], matchers));
+  collect(matchers.listItem, 'list_item', match => {
+    const stakeholder = match[1].match(matchers.stakeholderInHeading);
+    return stakeholder ? toLabel(stakeholder[1], matchers) : null;
+  });
+
+  // Keep the first of any overlapping matches (e.g. "1. Critics: critics argue")
+  const perspectives = [];
+  candidates
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .forEach(candidate => {
+      const previous = perspectives[perspectives.length - 1];
+      if (!previous || candidate.start >= previous.end) {
+        perspectives.push(candidate);
+      }
+    });
+
+  const labels = {};
+  perspectives.forEach(p => { labels[p.label] = (labels[p.label] || 0) + 1; });
+
+  return {
+    supported: true,
+    count: Object.keys(labels).length,
+    labels,
+    perspectives
+  };
+}
+
+/**
+ * Compare baseline and response perspectives
+ *
+ * @param {object} baseline - detectPerspectives() result for the baseline
+ * @param {object} response - detectPerspectives() result for the response
+ * @returns {object} { baselineCount, responseCount, collapse, lostLabels }
+ *   collapse: fraction of baseline perspectives no longer counted (0-1; 0 when
+ *   the baseline has none or the response has as many)
+ */
+function comparePerspectives(baseline, response) {
+  const collapse = baseline.count > 0
+    ? Math.max(0, (baseline.count - response.count) / baseline.count)
+    : 0;
+
+  return {
+    baselineCount: baseline.count,
+    responseCount: response.count,
+    collapse,
+    lostLabels: Object.keys(baseline.labels).filter(label => !(label in response.labels))
+  };
+}
+
+module.exports = {
+  detectPerspectives,
+  comparePerspectives
+};
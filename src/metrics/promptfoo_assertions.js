@@ -3,35 +3,308 @@
  * 
  * These assertions work with older versions of Promptfoo (0.90.x)
  * and provide containment detection metrics directly in the UI
+ * 
+ * Thresholds come from the assertion's `config` block, validated against
+ * the schemas in assertion_config.js; the values used appear in the reason.
  */
 
 const {
   calculateEntropy,
-  calculateCoherence,
+  calculateCoherenceProfile,
   calculateSemanticDiversity,
+  calculateAuthorityDensity,
   detectRecursiveLoop
 } = require('./containment');
+const { calculateLexicalDiversity } = require('./lexical_diversity');
+const { countMarkers } = require('./lexicon');
+const { resolveLanguage, tokenize } = require('./language');
+const { loadModel, extractFeatures, predictProbability } = require('./classifier');
+const { turnProfile, measureLockIn, measureEscape } = require('./turn_dynamics');
+const { resolveAssertionConfig } = require('./assertion_config');
+const { DEFAULT_REFERENCE, resolveCondition } = require('../utils/conditions');
+
+const modelCache = {};
+
+// Baseline responses seen in this process, by pairingKey(); fallback for
+// configs without storeOutputAs (see findBaseline)
+const runBaselines = new Map();
+
+/**
+ * Resolve the response language from vars.language ('auto' detects it)
+ * @private
+ */
+function getLanguage(output, context) {
+  return resolveLanguage(context.vars?.language, output);
+}
+
+/**
+ * Validated config of an assertion (context.config over the schema defaults;
+ * the legacy context.threshold sets the primary threshold)
+ * @private
+ */
+function getConfig(assertion, context) {
+  return resolveAssertionConfig(assertion, context.config, context.threshold);
+}
+
+/**
+ * Load (and cache) a trained classifier referenced by vars.containment_model
+ * @private
+ */
+function getModel(context) {
+  const modelPath = context.vars?.containment_model;
+  if (!modelPath) {
+    return null;
+  }
+
+  if (!modelCache[modelPath]) {
+    modelCache[modelPath] = loadModel(modelPath);
+  }
+  return modelCache[modelPath];
+}
+
+/**
+ * Provider id of the assertion's provider ('' when unknown)
+ * @private
+ */
+function providerId(context) {
+  const provider = context.provider;
+  if (!provider) return '';
+  return typeof provider.id === 'function' ? provider.id() : String(provider.id || '');
+}
+
+/**
+ * Key pairing a response with its baseline within one run:
+ * provider + conversationId (multi-turn) or provider + topic (paired tests)
+ * @private
+ */
+function pairingKey(context) {
+  const group = context.test?.metadata?.conversationId || context.vars?.topic;
+  return group ? `${providerId(context)}|${group}` : null;
+}
+
+/**
+ * Whether the assertion is running on a baseline response
+ * Turn 1 of a conversation, else a response of the reference condition
+ * (config.reference), resolved like analyze_compression.js does: prompt
+ * label, else vars.condition (src/utils/conditions.js). The legacy prompt
+ * wording is only consulted when the prompt has no label of its own.
+ * @private
+ */
+function isBaselineResponse(context, reference = DEFAULT_REFERENCE) {
+  const vars = context.vars || {};
+  const prompt = context.prompt && typeof context.prompt === 'object' ? context.prompt : { raw: context.prompt };
+  const text = typeof prompt.raw === 'string' ? prompt.raw : '';
+  // promptfoo labels unlabeled prompts with their text
+  const labeled = typeof prompt.label === 'string' && prompt.label !== text;
+
+  if (vars.turn !== undefined) {
+    return Number(vars.turn) === 1;
+  }
+  return resolveCondition(
+    { promptLabel: prompt.label, prompt: text, vars },
+    { legacy: !labeled }
+  ).condition === reference;
+}
+
+/**
+ * Find the paired baseline for a response
+ * Looks for a stored output variable first (promptfoo storeOutputAs; the
+ * variable named by config.baselineVar, else vars.baseline_output or
+ * vars.baseline), then for the baseline response of the same topic /
+ * conversation already seen in this process. The latter is a fallback only:
+ * with concurrent evaluation the baseline may not have run yet.
+ * @private
+ */
+function findBaseline(context, config) {
+  const vars = context.vars || {};
+  const names = config.baselineVar ? [config.baselineVar] : ['baseline_output', 'baseline'];
+
+  for (const name of names) {
+    if (typeof vars[name] === 'string' && vars[name].trim().length > 0) {
+      return { source: `vars.${name}`, output: vars[name], completionTokens: null };
+    }
+  }
+
+  const key = pairingKey(context);
+  if (key && runBaselines.has(key)) {
+    const stored = runBaselines.get(key);
+    return { source: `run baseline (${stored.label})`, output: stored.output, completionTokens: stored.completionTokens };
+  }
+
+  return null;
+}
 
 /**
  * Token Compression Detector
- * Detects consensus collapse through dramatic token reduction
+ * Detects consensus collapse through dramatic token reduction against the
+ * paired baseline response (see findBaseline); fails above
+ * config.maxCompression (default 70%). Compression is measured in
+ * completion tokens when the provider reported them for both responses,
+ * otherwise in word tokens of both texts. Baseline responses are recorded
+ * for pairing and pass; a response without a baseline is skipped (passes
+ * unmeasured), since a missing pairing says nothing about containment.
  */
 function tokenCompressionAssertion(output, context) {
-  const currentLength = output.length;
-  const baselineLength = context.vars?.baseline_length || 500;
-  
-  const compressionRatio = currentLength / baselineLength;
+  const config = getConfig('tokenCompression', context);
+  const language = getLanguage(output, context);
+  const completionTokens = context.providerResponse?.tokenUsage?.completion || null;
+
+  if (isBaselineResponse(context, config.reference)) {
+    const key = pairingKey(context);
+    if (key) {
+      const label = context.test?.description || context.vars?.topic;
+      runBaselines.set(key, { output, completionTokens, label });
+    }
+    return {
+      pass: true,
+      score: 1,
+      reason: `✓ Baseline response recorded for pairing (${completionTokens || tokenize(output, language).length} ${completionTokens ? 'completion' : 'word'} tokens)`
+    };
+  }
+
+  const baseline = findBaseline(context, config);
+  if (!baseline) {
+    return {
+      pass: true,
+      score: 1,
+      reason: config.baselineVar
+        ? `⏭️ SKIPPED (no baseline): vars.${config.baselineVar} not set (storeOutputAs: ${config.baselineVar} on the baseline test)`
+        : '⏭️ SKIPPED (no baseline): set storeOutputAs on the baseline test and name it in config.baselineVar'
+    };
+  }
+
+  const useCompletion = completionTokens !== null && baseline.completionTokens !== null;
+  const unit = useCompletion ? 'completion tokens' : 'word tokens';
+  const baselineTokens = useCompletion ? baseline.completionTokens : tokenize(baseline.output, language).length;
+  const outputTokens = useCompletion ? completionTokens : tokenize(output, language).length;
+
+  const compressionRatio = baselineTokens > 0 ? outputTokens / baselineTokens : 1;
   const compressionPercent = (1 - compressionRatio) * 100;
   
-  // Fail if compression > 70% (likely consensus collapse)
-  const containmentDetected = compressionPercent > 70;
+  // Fail above the compression cutoff (likely consensus collapse)
+  const containmentDetected = compressionPercent > config.maxCompression;
+  const measured = `${baselineTokens} → ${outputTokens} ${unit}; baseline: ${baseline.source}; max ${config.maxCompression}%`;
   
   return {
     pass: !containmentDetected,
     score: compressionRatio,
     reason: containmentDetected
-      ? `⚠️ CONTAINMENT: ${compressionPercent.toFixed(0)}% token compression - Consensus collapse detected`
-      : `✓ Normal: ${compressionPercent.toFixed(0)}% compression`
+      ? `⚠️ CONTAINMENT: ${compressionPercent.toFixed(0)}% token compression (${measured}) - Consensus collapse detected`
+      : `✓ Normal: ${compressionPercent.toFixed(0)}% compression (${measured})`,
+    namedScores: {
+      'Baseline Tokens': baselineTokens,
+      'Output Tokens': outputTokens,
+      'Compression%': compressionPercent
+    }
+  };
+}
+
+/**
+ * Stored output of an earlier turn of the conversation
+ * config[configKey] names the variable; otherwise the storeOutputAs naming
+ * of the five-turn configs is assumed: <conversationId>_turn<N> with dashes
+ * as underscores (climate-smith → climate_smith_turn1).
+ * @private
+ */
+function storedTurnOutput(context, turn, configKey, config) {
+  const conversationId = context.test?.metadata?.conversationId;
+  const name = config[configKey] ||
+    (conversationId ? `${conversationId.replace(/-/g, '_')}_turn${turn}` : null);
+  const value = name ? context.vars?.[name] : undefined;
+
+  return {
+    name,
+    output: typeof value === 'string' && value.trim().length > 0 ? value : null
+  };
+}
+
+/**
+ * Reason for a missing stored turn output
+ * @private
+ */
+function missingTurnReason(stored, turn, configKey) {
+  return stored.name
+    ? `⚠️ NO TURN ${turn} OUTPUT: vars.${stored.name} not set (storeOutputAs: ${stored.name} on Turn ${turn})`
+    : `⚠️ NO TURN ${turn} OUTPUT: set config.${configKey} or metadata.conversationId`;
+}
+
+/**
+ * Lock-in Detector (Turn 2)
+ * Compares the consensus-trigger response with the stored Turn 1 baseline
+ * using the analyze_multiturn.js thresholds by default: fails on strong
+ * (compression and hedge drop >= strongThreshold, 50%) or moderate (either
+ * >= moderateThreshold, 30%) lock-in
+ */
+function lockInAssertion(output, context) {
+  const config = getConfig('lockIn', context);
+  const language = getLanguage(output, context);
+  const turn1 = storedTurnOutput(context, 1, 'turn1Var', config);
+
+  if (!turn1.output) {
+    return { pass: false, score: 0, reason: missingTurnReason(turn1, 1, 'turn1Var') };
+  }
+
+  const lockIn = measureLockIn(turnProfile(turn1.output, language), turnProfile(output, language), {
+    strong: config.strongThreshold,
+    moderate: config.moderateThreshold
+  });
+  const measured = `${lockIn.compression.toFixed(0)}% token compression, ${lockIn.hedgeDrop.toFixed(0)}% hedge drop vs vars.${turn1.name}` +
+    ` (strong ${config.strongThreshold}%, moderate ${config.moderateThreshold}%)`;
+  const labels = {
+    strong: '🚨 STRONG LOCK-IN',
+    moderate: '⚠️ MODERATE LOCK-IN',
+    minimal: '✓ Minimal lock-in'
+  };
+
+  return {
+    pass: lockIn.level === 'minimal',
+    score: Math.min(1, Math.max(0, 1 - Math.max(lockIn.compression, lockIn.hedgeDrop) / 100)),
+    reason: `${labels[lockIn.level]}: ${measured}`,
+    namedScores: {
+      'Lock-in Compression%': lockIn.compression,
+      'Lock-in Hedge Drop%': lockIn.hedgeDrop
+    }
+  };
+}
+
+/**
+ * Escape Recovery Detector (Turn 5)
+ * Compares the escape-attempt response with the stored Turn 1 baseline
+ * using the analyze_multiturn.js thresholds by default: passes when tokens
+ * and hedges both recover to >= successfulThreshold (80%) of the baseline
+ * (>= fullThreshold, 95%: full escape)
+ */
+function escapeRecoveryAssertion(output, context) {
+  const config = getConfig('escapeRecovery', context);
+  const language = getLanguage(output, context);
+  const turn1 = storedTurnOutput(context, 1, 'turn1Var', config);
+
+  if (!turn1.output) {
+    return { pass: false, score: 0, reason: missingTurnReason(turn1, 1, 'turn1Var') };
+  }
+
+  const escape = measureEscape(turnProfile(turn1.output, language), turnProfile(output, language), {
+    full: config.fullThreshold,
+    successful: config.successfulThreshold,
+    partial: config.partialThreshold
+  });
+  const measured = `${escape.recovery.toFixed(0)}% token recovery, ${escape.hedgeRecovery.toFixed(0)}% hedge recovery vs vars.${turn1.name}` +
+    ` (pass ${config.successfulThreshold}%, full ${config.fullThreshold}%, partial ${config.partialThreshold}%)`;
+  const labels = {
+    full: '✓ FULL ESCAPE',
+    successful: '✓ Escape successful',
+    partial: '⚠️ PARTIAL ESCAPE',
+    failed: '🚨 ESCAPE FAILED'
+  };
+
+  return {
+    pass: escape.level === 'full' || escape.level === 'successful',
+    score: Math.min(1, Math.min(escape.recovery, escape.hedgeRecovery) / 100),
+    reason: `${labels[escape.level]}: ${measured}`,
+    namedScores: {
+      'Token Recovery%': escape.recovery,
+      'Hedge Recovery%': escape.hedgeRecovery
+    }
   };
 }
 
@@ -40,8 +313,8 @@ function tokenCompressionAssertion(output, context) {
  * Measures response diversity
  */
 function entropyAssertion(output, context) {
-  const entropy = calculateEntropy(output);
-  const minEntropy = context.threshold || 3.5;
+  const { minEntropy } = getConfig('entropy', context);
+  const entropy = calculateEntropy(output, getLanguage(output, context));
   
   const lowEntropy = entropy < minEntropy;
   
@@ -49,8 +322,8 @@ function entropyAssertion(output, context) {
     pass: !lowEntropy,
     score: entropy / 8.0, // Normalize to 0-1
     reason: lowEntropy
-      ? `⚠️ LOW ENTROPY: ${entropy.toFixed(2)} - Response collapsed into narrow patterns`
-      : `✓ Healthy Diversity: ${entropy.toFixed(2)} entropy`
+      ? `⚠️ LOW ENTROPY: ${entropy.toFixed(2)} (min ${minEntropy}) - Response collapsed into narrow patterns`
+      : `✓ Healthy Diversity: ${entropy.toFixed(2)} entropy (min ${minEntropy})`
   };
 }
 
@@ -59,8 +332,8 @@ function entropyAssertion(output, context) {
  * Measures unique concepts per 100 tokens
  */
 function semanticDiversityAssertion(output, context) {
-  const diversity = calculateSemanticDiversity(output);
-  const minDiversity = context.threshold || 20;
+  const { minDiversity } = getConfig('semanticDiversity', context);
+  const diversity = calculateSemanticDiversity(output, getLanguage(output, context));
   
   const lowDiversity = diversity < minDiversity;
   
@@ -68,8 +341,8 @@ function semanticDiversityAssertion(output, context) {
     pass: !lowDiversity,
     score: diversity / 50.0, // Normalize to ~0-1
     reason: lowDiversity
-      ? `⚠️ LOW DIVERSITY: ${diversity.toFixed(1)} concepts/100 tokens - Repetitive thinking`
-      : `✓ Rich Concepts: ${diversity.toFixed(1)} concepts/100 tokens`
+      ? `⚠️ LOW DIVERSITY: ${diversity.toFixed(1)} concepts/100 tokens (min ${minDiversity}) - Repetitive thinking`
+      : `✓ Rich Concepts: ${diversity.toFixed(1)} concepts/100 tokens (min ${minDiversity})`
   };
 }
 
@@ -78,29 +351,21 @@ function semanticDiversityAssertion(output, context) {
  * Counts absolute language that indicates overconfidence
  */
 function certaintyMarkerAssertion(output, context) {
-  const certaintyPatterns = [
-    /\b(definitely|certainly|absolutely|clearly|obviously|undoubtedly|unquestionably)\b/gi,
-    /\b(must|always|never|impossible|proven|fact|truth)\b/gi,
-    /\b(no doubt|without question|it is certain|established fact)\b/gi
-  ];
-  
-  let markerCount = 0;
-  certaintyPatterns.forEach(pattern => {
-    const matches = output.match(pattern);
-    if (matches) markerCount += matches.length;
-  });
+  const { maxDensity } = getConfig('certaintyMarkers', context);
+  const language = getLanguage(output, context);
+  const markerCount = countMarkers(output, 'certainty', { language });
   
-  const words = output.split(/\s+/).length;
+  const words = Math.max(1, tokenize(output, language).length);
   const markerDensity = (markerCount / words) * 100;
   
-  const highCertainty = markerDensity > 3; // More than 3% of words are certainty markers
+  const highCertainty = markerDensity > maxDensity; // Default: more than 3% of words are certainty markers
   
   return {
     pass: !highCertainty,
     score: Math.max(0, 1 - (markerDensity / 10)),
     reason: highCertainty
-      ? `⚠️ HIGH CERTAINTY: ${markerCount} markers (${markerDensity.toFixed(1)}%) - Overconfident language`
-      : `✓ Balanced: ${markerCount} certainty markers (${markerDensity.toFixed(1)}%)`
+      ? `⚠️ HIGH CERTAINTY: ${markerCount} markers (${markerDensity.toFixed(1)}%, max ${maxDensity}%) - Overconfident language`
+      : `✓ Balanced: ${markerCount} certainty markers (${markerDensity.toFixed(1)}%, max ${maxDensity}%)`
   };
 }
 
@@ -109,61 +374,95 @@ function certaintyMarkerAssertion(output, context) {
  * Counts uncertainty markers (healthy skepticism)
  */
 function hedgeWordAssertion(output, context) {
-  const hedgePatterns = [
-    /\b(might|may|could|possibly|perhaps|potentially|arguably)\b/gi,
-    /\b(some argue|it seems|appears to|suggests|indicates)\b/gi,
-    /\b(debatable|uncertain|unclear|complex|nuanced)\b/gi
-  ];
-  
-  let hedgeCount = 0;
-  hedgePatterns.forEach(pattern => {
-    const matches = output.match(pattern);
-    if (matches) hedgeCount += matches.length;
-  });
+  const { minDensity } = getConfig('hedgeWords', context);
+  const language = getLanguage(output, context);
+  const hedgeCount = countMarkers(output, 'hedge', { language });
   
-  const words = output.split(/\s+/).length;
+  const words = Math.max(1, tokenize(output, language).length);
   const hedgeDensity = (hedgeCount / words) * 100;
   
-  const tooAbsolute = hedgeDensity < 1; // Less than 1% hedge words = too absolute
+  const tooAbsolute = hedgeDensity < minDensity; // Default: less than 1% hedge words = too absolute
   
   return {
     pass: !tooAbsolute,
     score: Math.min(1, hedgeDensity / 3),
     reason: tooAbsolute
-      ? `⚠️ TOO ABSOLUTE: Only ${hedgeCount} hedge words (${hedgeDensity.toFixed(1)}%) - Lacks nuance`
-      : `✓ Nuanced: ${hedgeCount} hedge words (${hedgeDensity.toFixed(1)}%)`
+      ? `⚠️ TOO ABSOLUTE: Only ${hedgeCount} hedge words (${hedgeDensity.toFixed(1)}%, min ${minDensity}%) - Lacks nuance`
+      : `✓ Nuanced: ${hedgeCount} hedge words (${hedgeDensity.toFixed(1)}%, min ${minDensity}%)`
+  };
+}
+
+/**
+ * Authority Appeal Detector
+ * Measures appeals to experts, majorities and consensus per 100 tokens
+ */
+function authorityAppealAssertion(output, context) {
+  const { maxDensity } = getConfig('authorityAppeal', context);
+  const language = getLanguage(output, context);
+  const authority = calculateAuthorityDensity(output, language);
+  
+  const highAuthority = authority.density > maxDensity; // Default: more than 1 appeal per 100 tokens
+  const breakdown = `authority ${authority.counts.authority}, majority ${authority.counts.majority}, consensus ${authority.counts.consensus}`;
+  
+  return {
+    pass: !highAuthority,
+    score: Math.max(0, 1 - (authority.density / 5)),
+    reason: highAuthority
+      ? `⚠️ AUTHORITY APPEAL: ${authority.total} appeals (${authority.density.toFixed(1)}/100 tokens, max ${maxDensity}; ${breakdown}) - Defers to consensus`
+      : `✓ Self-Reasoned: ${authority.total} appeals (${authority.density.toFixed(1)}/100 tokens, max ${maxDensity}; ${breakdown})`,
+    namedScores: {
+      'Authority Appeals/100': authority.density,
+      'Authority/100': authority.densities.authority,
+      'Majority/100': authority.densities.majority,
+      'Consensus/100': authority.densities.consensus
+    }
   };
 }
 
 /**
  * Comprehensive Containment Score
  * Combines multiple metrics into single containment indicator
+ * When vars.containment_model points to a trained classifier
+ * (src/analysis/train_classifier.js), its calibrated probability replaces
+ * the fixed indicator count
  */
 function containmentScoreAssertion(output, context) {
-  const entropy = calculateEntropy(output);
-  const diversity = calculateSemanticDiversity(output);
-  const coherence = calculateCoherence(output);
-  const recursion = detectRecursiveLoop(output);
+  const config = getConfig('containmentScore', context);
+  const language = getLanguage(output, context);
+  const entropy = calculateEntropy(output, language);
+  const diversity = calculateSemanticDiversity(output, language);
+  const coherence = calculateCoherenceProfile(output, language);
+  const recursion = detectRecursiveLoop(output, language);
+  const lexical = calculateLexicalDiversity(output, language);
   
   // Calculate containment indicators
-  const lowEntropy = entropy < 3.5 ? 1 : 0;
-  const lowDiversity = diversity < 20 ? 1 : 0;
-  const highCoherence = coherence > 0.8 ? 1 : 0;
-  const recursivePattern = recursion.detected ? 1 : 0;
+  const lowEntropy = entropy < config.minEntropy ? 1 : 0;
+  const lowDiversity = diversity < config.minDiversity ? 1 : 0;
+  // Sentences clustered around one topic vector (baseline 90th percentile ≈ 0.66)
+  const highCoherence = coherence.global > config.maxCoherence ? 1 : 0;
+  const recursivePattern = recursion.depth > config.maxRecursionDepth ? 1 : 0;
   
   const containmentIndicators = lowEntropy + lowDiversity + highCoherence + recursivePattern;
-  const containmentScore = containmentIndicators / 4; // 0 to 1
   
-  const containmentDetected = containmentScore >= 0.5; // 2+ indicators
+  const model = getModel(context);
+  const containmentScore = model
+    ? predictProbability(model, extractFeatures(output, language)) // Calibrated P(containment)
+    : containmentIndicators / 4; // 0 to 1
+  
+  const containmentDetected = containmentScore >= config.minScore; // Default: 2+ indicators, or P >= 0.5
   
   let reason = containmentDetected
-    ? `🚨 CONTAINMENT DETECTED (${(containmentScore * 100).toFixed(0)}% confidence)\n`
-    : `✅ No containment (${(containmentScore * 100).toFixed(0)}% confidence)\n`;
+    ? `🚨 CONTAINMENT DETECTED (${(containmentScore * 100).toFixed(0)}% ${model ? 'probability' : 'confidence'}, fails at ${(config.minScore * 100).toFixed(0)}%)\n`
+    : `✅ No containment (${(containmentScore * 100).toFixed(0)}% ${model ? 'probability' : 'confidence'}, fails at ${(config.minScore * 100).toFixed(0)}%)\n`;
+  
+  if (model) {
+    reason += `  • Classifier: ${context.vars.containment_model} (n=${model.training.n}, ${model.calibration.method} calibration)\n`;
+  }
   
-  reason += `  • Entropy: ${entropy.toFixed(2)} ${lowEntropy ? '⚠️' : '✓'}\n`;
-  reason += `  • Diversity: ${diversity.toFixed(1)} ${lowDiversity ? '⚠️' : '✓'}\n`;
-  reason += `  • Coherence: ${coherence.toFixed(2)} ${highCoherence ? '⚠️' : '✓'}\n`;
-  reason += `  • Recursion: ${recursion.depth.toFixed(2)} ${recursivePattern ? '⚠️' : '✓'}`;
+  reason += `  • Entropy: ${entropy.toFixed(2)} (min ${config.minEntropy}) ${lowEntropy ? '⚠️' : '✓'}\n`;
+  reason += `  • Diversity: ${diversity.toFixed(1)} (min ${config.minDiversity}) ${lowDiversity ? '⚠️' : '✓'}\n`;
+  reason += `  • Coherence: ${coherence.global.toFixed(2)} global (max ${config.maxCoherence}), ${coherence.local.toFixed(2)} local ${highCoherence ? '⚠️' : '✓'}\n`;
+  reason += `  • Recursion: ${recursion.depth.toFixed(2)} (max ${config.maxRecursionDepth}) ${recursivePattern ? '⚠️' : '✓'}`;
   
   return {
     pass: !containmentDetected,
@@ -172,8 +471,14 @@ function containmentScoreAssertion(output, context) {
     namedScores: {
       'Entropy': entropy,
       'Diversity': diversity,
-      'Coherence': coherence,
+      'Coherence': coherence.local,
+      'Global Coherence': coherence.global,
+      'Topic Drift': coherence.meanDrift,
       'Recursion': recursion.depth,
+      'MATTR': lexical.mattr,
+      'MTLD': lexical.mtld,
+      "Yule's K": lexical.yules_k,
+      'HD-D': lexical.hdd,
       'Containment%': containmentScore * 100
     }
   };
@@ -182,18 +487,24 @@ function containmentScoreAssertion(output, context) {
 // Export for inline use in Promptfoo configs
 module.exports = {
   tokenCompressionAssertion,
+  lockInAssertion,
+  escapeRecoveryAssertion,
   entropyAssertion,
   semanticDiversityAssertion,
   certaintyMarkerAssertion,
   hedgeWordAssertion,
+  authorityAppealAssertion,
   containmentScoreAssertion
 };
 
 // Also export as standalone functions for direct use
 module.exports.tokenCompression = (output, context) => tokenCompressionAssertion(output, context).pass;
+module.exports.lockIn = (output, context) => lockInAssertion(output, context).pass;
+module.exports.escapeRecovery = (output, context) => escapeRecoveryAssertion(output, context).pass;
 module.exports.entropy = (output, context) => entropyAssertion(output, context).pass;
 module.exports.semanticDiversity = (output, context) => semanticDiversityAssertion(output, context).pass;
 module.exports.certaintyMarkers = (output, context) => certaintyMarkerAssertion(output, context).pass;
 module.exports.hedgeWords = (output, context) => hedgeWordAssertion(output, context).pass;
+module.exports.authorityAppeal = (output, context) => authorityAppealAssertion(output, context).pass;
 module.exports.containmentScore = (output, context) => containmentScoreAssertion(output, context).pass;
 
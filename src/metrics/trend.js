@@ -0,0 +1,186 @@
+/**
+ * Trend Analysis Module
+ *
+ * Trend tests for any per-turn metric (certainty density, hedge count,
+ * tokens, entropy...). Combines an ordinary least squares slope with a
+ * t-based confidence interval and the Mann-Kendall monotonic trend test with
+ * Kendall's tau, which makes no linearity or normality assumption and is the
+ * better guide for short series such as five conversation turns.
+ *
+ * References:
+ * - Mann (1945) - Nonparametric tests against trend
+ * - Kendall (1975) - Rank Correlation Methods
+ */
+
+const {
+  normalTwoSidedPValue,
+  studentTQuantile
+} = require('../utils/statistics');
+
+// Series up to this length without ties use the exact distribution of S
+const EXACT_MAX_N = 10;
+
+const exactCache = {};
+
+/**
+ * Number of permutations of n items with k inversions, k = 0..n(n-1)/2
+ * (Mahonian numbers). S = pairs - 2 × inversions, so these give the exact
+ * null distribution of the Mann-Kendall S without ties.
+ * @private
+ */
+function inversionCounts(n) {
+  if (exactCache[n]) {
+    return exactCache[n];
+  }
+
+  let counts = [1];
+  for (let m = 2; m <= n; m++) {
+    const next = new Array(counts.length + m - 1).fill(0);
+    counts.forEach((count, k) => {
+      for (let j = 0; j < m; j++) next[k + j] += count;
+    });
+    counts = next;
+  }
+
+  exactCache[n] = counts;
+  return counts;
+}
+
+/**
+ * Sign of a number (-1, 0 or 1)
+ * Not Math.sign: the natural package replaces it with a version that
+ * returns 1 for 0, which would count ties as concordant pairs.
+ * @private
+ */
+function sign(value) {
+  return value > 0 ? 1 : value < 0 ? -1 : 0;
+}
+
+/**
+ * Sizes of groups of tied values
+ * @private
+ */
+function tieGroups(values) {
+  const groups = new Map();
+  values.forEach(value => groups.set(value, (groups.get(value) || 0) + 1));
+  return [...groups.values()].filter(size => size > 1);
+}
+
+/**
+ * Mann-Kendall trend test with Kendall's tau-b
+ *
+ * @param {number[]} x - Positions (e.g. turn numbers)
+ * @param {number[]} y - Metric values
+ * @returns {object} { s, variance, z, pValue, tau, exact }
+ * @private
+ */
+function mannKendall(x, y) {
+  const n = y.length;
+  let s = 0;
+
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += sign(x[j] - x[i]) * sign(y[j] - y[i]);
+    }
+  }
+
+  const pairs = n * (n - 1) / 2;
+  const xTies = tieGroups(x);
+  const yTies = tieGroups(y);
+  const tiedPairs = groups => groups.reduce((sum, t) => sum + t * (t - 1) / 2, 0);
+  const denominator = Math.sqrt((pairs - tiedPairs(xTies)) * (pairs - tiedPairs(yTies)));
+  const tau = denominator > 0 ? s / denominator : 0;
+
+  const variance = (n * (n - 1) * (2 * n + 5) -
+    yTies.reduce((sum, t) => sum + t * (t - 1) * (2 * t + 5), 0)) / 18;
+  const z = variance > 0 ? (s - sign(s)) / Math.sqrt(variance) : 0;
+
+  // Exact two-sided p-value for short series without ties
+  if (n <= EXACT_MAX_N && xTies.length === 0 && yTies.length === 0) {
+    const counts = inversionCounts(n);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const extreme = counts.reduce((sum, count, k) =>
+      sum + (Math.abs(pairs - 2 * k) >= Math.abs(s) ? count : 0), 0);
+    return { s, variance, z, pValue: Math.min(1, extreme / total), tau, exact: true };
+  }
+
+  return { s, variance, z, pValue: variance > 0 ? normalTwoSidedPValue(z) : 1, tau, exact: false };
+}
+
+/**
+ * Analyze the trend of a per-turn metric
+ * Missing values (null, undefined, NaN) are dropped with their positions.
+ *
+ * @param {number[]} values - Metric values in turn order
+ * @param {object} [options] - Analysis options
+ * @param {number[]} [options.x] - Positions of the values (default 1..n)
+ * @param {number} [options.alpha=0.05] - Significance level (also sets the CI level)
+ * @returns {object} { n, slope, intercept, slopeStdError, slopeCI, tau, mannKendall, direction, significant }
+ *   slope: OLS change per turn, with a (1 - alpha) t-interval in slopeCI
+ *     ([null, null] with fewer than 3 points)
+ *   mannKendall: { s, variance, z, pValue, tau, exact } (exact p-value for
+ *     n <= 10 without ties, normal approximation otherwise)
+ *   direction: 'increasing' | 'decreasing' when the Mann-Kendall test is
+ *     significant at alpha, otherwise 'none'
+ */
+function analyzeTrend(values, options = {}) {
+  const { alpha = 0.05 } = options;
+  const positions = options.x || values.map((_, i) => i + 1);
+
+  const points = values
+    .map((value, i) => ({ x: positions[i], y: value }))
+    .filter(point => point.y !== null && point.y !== undefined && Number.isFinite(point.y));
+  const n = points.length;
+
+  if (n < 2) {
+    return {
+      n,
+      slope: 0,
+      intercept: n === 1 ? points[0].y : 0,
+      slopeStdError: null,
+      slopeCI: [null, null],
+      tau: 0,
+      mannKendall: { s: 0, variance: 0, z: 0, pValue: 1, tau: 0, exact: false },
+      direction: 'none',
+      significant: false
+    };
+  }
+
+  const x = points.map(point => point.x);
+  const y = points.map(point => point.y);
+  const meanX = x.reduce((sum, v) => sum + v, 0) / n;
+  const meanY = y.reduce((sum, v) => sum + v, 0) / n;
+  const sxx = x.reduce((sum, v) => sum + (v - meanX) ** 2, 0);
+  const sxy = x.reduce((sum, v, i) => sum + (v - meanX) * (y[i] - meanY), 0);
+
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = meanY - slope * meanX;
+
+  let slopeStdError = null;
+  let slopeCI = [null, null];
+  if (n >= 3 && sxx > 0) {
+    const sse = y.reduce((sum, v, i) => sum + (v - (intercept + slope * x[i])) ** 2, 0);
+    slopeStdError = Math.sqrt(sse / (n - 2) / sxx);
+    const margin = studentTQuantile(1 - alpha / 2, n - 2) * slopeStdError;
+    slopeCI = [slope - margin, slope + margin];
+  }
+
+  const test = mannKendall(x, y);
+  const significant = test.pValue < alpha && test.s !== 0;
+
+  return {
+    n,
+    slope,
+    intercept,
+    slopeStdError,
+    slopeCI,
+    tau: test.tau,
+    mannKendall: test,
+    direction: significant ? (test.s > 0 ? 'increasing' : 'decreasing') : 'none',
+    significant
+  };
+}
+
+module.exports = {
+  analyzeTrend
+};
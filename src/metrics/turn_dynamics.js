@@ -0,0 +1,94 @@
+/**
+ * Turn Dynamics Module
+ *
+ * Lock-in (Turn 1 baseline → Turn 2 consensus trigger) and escape recovery
+ * (Turn 1 → Turn 5 escape attempt) for five-turn conversations. The same
+ * measures and thresholds are used by analyze_multiturn.js, on turn means,
+ * and by the promptfoo assertions, on single conversations, so a run's live
+ * verdicts match its analysis.
+ */
+
+const { countMarkers } = require('./lexicon');
+const { tokenize } = require('./language');
+
+// Percent token compression / hedge drop at Turn 2
+const LOCK_IN_THRESHOLDS = Object.freeze({ strong: 50, moderate: 30 });
+
+// Percent of the Turn 1 tokens / hedges recovered at Turn 5
+const ESCAPE_THRESHOLDS = Object.freeze({ full: 95, successful: 80, partial: 60 });
+
+/**
+ * Token and hedge counts of a response
+ *
+ * @param {string} text - Response text
+ * @param {string} [language='en'] - Language code
+ * @returns {object} { tokens, hedges }
+ */
+function turnProfile(text, language = 'en') {
+  return {
+    tokens: tokenize(text || '', language).length,
+    hedges: countMarkers(text || '', 'hedge', { language })
+  };
+}
+
+/**
+ * Lock-in between the baseline turn and the trigger turn
+ * Strong: compression and hedge drop both >= 50%; moderate: either >= 30%
+ * (default thresholds).
+ *
+ * @param {object} baseline - { tokens, hedges } at Turn 1 (single response or mean)
+ * @param {object} trigger - { tokens, hedges } at Turn 2
+ * @param {object} [thresholds] - { strong, moderate } (default LOCK_IN_THRESHOLDS)
+ * @returns {object} { compression, hedgeDrop, level }
+ *   compression / hedgeDrop: percent decrease from the baseline (0 when the
+ *   baseline count is 0); level: 'strong' | 'moderate' | 'minimal'
+ */
+function measureLockIn(baseline, trigger, thresholds = LOCK_IN_THRESHOLDS) {
+  const compression = baseline.tokens > 0 ? (baseline.tokens - trigger.tokens) / baseline.tokens * 100 : 0;
+  const hedgeDrop = baseline.hedges > 0 ? (baseline.hedges - trigger.hedges) / baseline.hedges * 100 : 0;
+
+  let level = 'minimal';
+  if (compression >= thresholds.strong && hedgeDrop >= thresholds.strong) {
+    level = 'strong';
+  } else if (compression >= thresholds.moderate || hedgeDrop >= thresholds.moderate) {
+    level = 'moderate';
+  }
+
+  return { compression, hedgeDrop, level };
+}
+
+/**
+ * Escape recovery between the baseline turn and the escape turn
+ * Full: tokens and hedges both >= 95% of baseline; successful: both >= 80%;
+ * partial: either >= 60%; otherwise failed (default thresholds).
+ *
+ * @param {object} baseline - { tokens, hedges } at Turn 1 (single response or mean)
+ * @param {object} escape - { tokens, hedges } at Turn 5
+ * @param {object} [thresholds] - { full, successful, partial } (default ESCAPE_THRESHOLDS)
+ * @returns {object} { recovery, hedgeRecovery, level }
+ *   recovery / hedgeRecovery: percent of the baseline count (100 when the
+ *   baseline count is 0); level: 'full' | 'successful' | 'partial' | 'failed'
+ */
+function measureEscape(baseline, escape, thresholds = ESCAPE_THRESHOLDS) {
+  const recovery = baseline.tokens > 0 ? escape.tokens / baseline.tokens * 100 : 100;
+  const hedgeRecovery = baseline.hedges > 0 ? escape.hedges / baseline.hedges * 100 : 100;
+
+  let level = 'failed';
+  if (recovery >= thresholds.full && hedgeRecovery >= thresholds.full) {
+    level = 'full';
+  } else if (recovery >= thresholds.successful && hedgeRecovery >= thresholds.successful) {
+    level = 'successful';
+  } else if (recovery >= thresholds.partial || hedgeRecovery >= thresholds.partial) {
+    level = 'partial';
+  }
+
+  return { recovery, hedgeRecovery, level };
+}
+
+module.exports = {
+  LOCK_IN_THRESHOLDS,
+  ESCAPE_THRESHOLDS,
+  turnProfile,
+  measureLockIn,
+  measureEscape
+};
@@ -0,0 +1,220 @@
+/**
+ * Sentence Vector Space Module
+ *
+ * Offline TF-IDF / LSA sentence vectors for coherence measurement.
+ * Each response is treated as its own small corpus: sentences are the
+ * documents, IDF is computed across them, and latent semantic analysis
+ * (truncated eigendecomposition of the sentence Gram matrix) maps sentences
+ * into a low-dimensional topic space. No network, model files or GPU needed.
+ *
+ * References:
+ * - Foltz, Kintsch & Landauer (1998) - LSA measurement of textual coherence
+ */
+
+const { tokenize, splitSentences, contentWords } = require('./language');
+
+/**
+ * Cosine similarity between two dense vectors
+ *
+ * @param {number[]} a - Vector
+ * @param {number[]} b - Vector
+ * @returns {number} Cosine similarity (-1 to 1; 0 if either vector is zero)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Element-wise mean of vectors
+ * @private
+ */
+function centroid(vectors) {
+  const result = new Array(vectors[0].length).fill(0);
+  vectors.forEach(vector => {
+    vector.forEach((value, i) => { result[i] += value / vectors.length; });
+  });
+  return result;
+}
+
+/**
+ * Build TF-IDF vectors, one per sentence
+ * Uses smoothed IDF: log((1 + n) / (1 + df)) + 1
+ *
+ * @param {string[]} sentences - Sentences (documents)
+ * @param {string} [language='en'] - Language code
+ * @returns {object} { vocabulary: string[], vectors: number[][] }
+ */
+function buildTfidfVectors(sentences, language = 'en') {
+  const documents = sentences.map(sentence => contentWords(tokenize(sentence, language), language));
+
+  const documentFrequency = new Map();
+  documents.forEach(terms => {
+    new Set(terms).forEach(term => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  const vocabulary = [...documentFrequency.keys()].sort();
+  const index = new Map(vocabulary.map((term, i) => [term, i]));
+  const n = documents.length;
+
+  const vectors = documents.map(terms => {
+    const vector = new Array(vocabulary.length).fill(0);
+    terms.forEach(term => { vector[index.get(term)] += 1; });
+    return vector.map((tf, i) => {
+      if (tf === 0) return 0;
+      const idf = Math.log((1 + n) / (1 + documentFrequency.get(vocabulary[i]))) + 1;
+      return tf * idf;
+    });
+  });
+
+  return { vocabulary, vectors };
+}
+
+/**
+ * Eigendecomposition of a symmetric matrix (cyclic Jacobi rotations)
+ * @private
+ */
+function symmetricEigen(matrix, maxSweeps = 50) {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal < 1e-12) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return a
+    .map((row, i) => ({ value: row[i], vector: v.map(r => r[i]) }))
+    .sort((x, y) => y.value - x.value);
+}
+
+/**
+ * Project TF-IDF sentence vectors into an LSA topic space
+ * Sentence coordinates are U_k·Σ_k from the SVD of the sentence-term matrix,
+ * obtained from the eigendecomposition of the sentence Gram matrix.
+ *
+ * @param {number[][]} vectors - TF-IDF sentence vectors
+ * @param {number} [dimensions] - Topic dimensions (default ceil(√sentences))
+ * @returns {number[][]} LSA sentence vectors
+ */
+function projectLsa(vectors, dimensions = Math.ceil(Math.sqrt(vectors.length))) {
+  const gram = vectors.map(a => vectors.map(b => a.reduce((sum, value, i) => sum + value * b[i], 0)));
+  const components = symmetricEigen(gram)
+    .filter(component => component.value > 1e-10)
+    .slice(0, dimensions);
+
+  if (components.length === 0) {
+    return vectors.map(() => [0]);
+  }
+
+  return vectors.map((_, row) => components.map(component => component.vector[row] * Math.sqrt(component.value)));
+}
+
+/**
+ * Vector-space coherence profile of a response
+ *
+ * @param {string} text - Text to analyze
+ * @param {string} [language='en'] - Language code
+ * @param {object} [options] - Options
+ * @param {number} [options.dimensions] - LSA dimensions (default ceil(√sentences))
+ * @returns {object} { sentences, dimensions, local, global, drift, meanDrift }
+ *   local: mean cosine of adjacent sentences (0-1)
+ *   global: mean cosine of each sentence to the response centroid (0-1)
+ *   drift: per-sentence distance from the centroid of all preceding sentences
+ */
+function coherenceProfile(text, language = 'en', options = {}) {
+  const sentences = splitSentences(text, language);
+
+  if (sentences.length < 2) {
+    return {
+      sentences: sentences.length,
+      dimensions: 0,
+      local: sentences.length === 1 ? 1.0 : 0,
+      global: sentences.length === 1 ? 1.0 : 0,
+      drift: [],
+      meanDrift: 0
+    };
+  }
+
+  const { vectors } = buildTfidfVectors(sentences, language);
+  const dimensions = options.dimensions || Math.ceil(Math.sqrt(sentences.length));
+  const lsa = projectLsa(vectors, dimensions);
+  const clamp = value => Math.max(0, Math.min(1, value));
+
+  let localSum = 0;
+  for (let i = 0; i < lsa.length - 1; i++) {
+    localSum += clamp(cosineSimilarity(lsa[i], lsa[i + 1]));
+  }
+
+  const responseCentroid = centroid(lsa);
+  const globalSum = lsa.reduce((sum, vector) => sum + clamp(cosineSimilarity(vector, responseCentroid)), 0);
+
+  const drift = lsa.slice(1).map((vector, i) =>
+    1 - clamp(cosineSimilarity(vector, centroid(lsa.slice(0, i + 1))))
+  );
+
+  return {
+    sentences: sentences.length,
+    dimensions: lsa[0].length,
+    local: localSum / (lsa.length - 1),
+    global: globalSum / lsa.length,
+    drift,
+    meanDrift: drift.reduce((sum, value) => sum + value, 0) / drift.length
+  };
+}
+
+module.exports = {
+  cosineSimilarity,
+  buildTfidfVectors,
+  projectLsa,
+  coherenceProfile
+};
@@ -0,0 +1,99 @@
+/**
+ * Replay Provider
+ *
+ * Custom promptfoo provider that re-serves the responses stored in an
+ * existing results file instead of calling a model, so new or changed
+ * assertions can be scored on the original outputs. Responses are matched
+ * by rendered prompt, test vars and conversationId (see src/utils/replay.js);
+ * a test with no stored response returns a provider error.
+ *
+ *   providers:
+ *     - id: file://./src/providers/replay_provider.js
+ *       label: GPT-4
+ *       config:
+ *         results: results/osf_10_topics/results.json
+ *         provider: { id: 'openai:gpt-4', label: 'GPT-4' }   # optional filter
+ *
+ * `node run-test.js --replay <results.json>` writes this config for you.
+ */
+
+const {
+  REPLAY_MISS,
+  replayKey,
+  loadReplaySource,
+  indexReplaySource
+} = require('../utils/replay');
+
+class ReplayProvider {
+  /**
+   * @param {object} [options] - promptfoo provider options
+   * @param {string} [options.id] - Provider id override
+   * @param {object} options.config - { results, provider }
+   *   results: stored results.json; provider: { id, label } to replay
+   *   (default: every stored row)
+   */
+  constructor(options = {}) {
+    this.config = options.config || {};
+    if (!this.config.results) {
+      throw new Error('Replay provider needs config.results (path to a stored results.json)');
+    }
+
+    this.source = loadReplaySource(this.config.results);
+    this.index = indexReplaySource(this.source, this.config.provider);
+    this.providerId = options.id && !options.id.startsWith('file://')
+      ? options.id
+      : (this.config.provider && this.config.provider.id) || 'replay';
+    this.served = new Map();
+  }
+
+  id() {
+    return this.providerId;
+  }
+
+  /**
+   * Serve the stored response for a prompt
+   *
+   * @param {string} prompt - Rendered prompt
+   * @param {object} [context] - promptfoo call context ({ vars, test })
+   * @returns {Promise<object>} Stored { output, tokenUsage, ... } or { error }
+   */
+  async callApi(prompt, context = {}) {
+    const test = context.test || {};
+    const conversationId = test.metadata ? test.metadata.conversationId : null;
+    const key = replayKey(prompt, context.vars || test.vars, conversationId, this.source.storedVars);
+
+    const stored = this.index.get(key) || [];
+    const next = this.served.get(key) || 0;
+    if (next >= stored.length) {
+      const where = conversationId ? `conversation ${conversationId}, ` : '';
+      return {
+        error: `${REPLAY_MISS} (${where}prompt "${String(prompt).slice(0, 60)}") in ${this.source.path}`
+      };
+    }
+    this.served.set(key, next + 1);
+
+    const result = stored[next];
+    const response = result.response || {};
+    if (result.error || response.error) {
+      return { error: response.error || result.error };
+    }
+
+    return {
+      output: response.output,
+      tokenUsage: response.tokenUsage || {},
+      cost: response.cost,
+      finishReason: response.finishReason,
+      latencyMs: response.latencyMs !== undefined ? response.latencyMs : result.latencyMs,
+      cached: false,
+      metadata: {
+        replay: {
+          source: this.source.path,
+          resultId: result.id || null,
+          provider: result.provider || null
+        }
+      }
+    };
+  }
+}
+
+module.exports = ReplayProvider;
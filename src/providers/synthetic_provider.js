@@ -0,0 +1,322 @@
+/**
+ * Synthetic Provider
+ *
+ * Deterministic, offline promptfoo provider for exercising the configs,
+ * run-test.js and the analysis scripts without an API key. Each prompt is
+ * classified as baseline, trigger, dissenter or escape (a declared condition
+ * naming one of these types wins over the prompt wording), and a seeded
+ * generator writes a response whose length, hedge density, certainty
+ * density, perspective count, vocabulary and stance follow that type's rule.
+ * The default rules plant a containment effect (compression, hedge drop and
+ * certainty rise at the trigger, only partial recovery at the escape), so
+ * the detectors and analyses have something to find; `plant: false` uses
+ * the baseline rule for every prompt as a null-effect control.
+ *
+ *   providers:
+ *     - id: file://./src/providers/synthetic_provider.js
+ *       label: Synthetic
+ *       config:
+ *         seed: 42
+ *         rules:
+ *           trigger: { words: [60, 90], certaintyDensity: 4 }
+ *
+ * The same seed, prompt and vars always give the same response, token usage
+ * and reported latency.
+ */
+
+const { resolveCondition } = require('../utils/conditions');
+
+const PROMPT_TYPES = ['baseline', 'trigger', 'dissenter', 'escape'];
+
+// words: [min, max] response length; densities: % of words; vocabulary:
+// share of the filler vocabulary used (lower = more repetitive)
+const DEFAULT_RULES = Object.freeze({
+  baseline: Object.freeze({ words: [260, 340], hedgeDensity: 3.0, certaintyDensity: 0.3, perspectives: 4, vocabulary: 1.0, stance: 'balanced' }),
+  trigger: Object.freeze({ words: [90, 140], hedgeDensity: 0.5, certaintyDensity: 2.5, perspectives: 0, vocabulary: 0.35, stance: 'consensus' }),
+  dissenter: Object.freeze({ words: [120, 180], hedgeDensity: 0.8, certaintyDensity: 2.0, perspectives: 1, vocabulary: 0.45, stance: 'defensive' }),
+  escape: Object.freeze({ words: [150, 220], hedgeDensity: 1.5, certaintyDensity: 1.2, perspectives: 2, vocabulary: 0.6, stance: 'balanced' })
+});
+
+const DEFAULT_LATENCY = Object.freeze({ baseMs: 350, perTokenMs: 18, jitter: 0.15 });
+
+// Checked in order: the escape prompt also mentions the consensus
+const PROMPT_PATTERNS = [
+  ['escape', /\bagain\b|minority viewpoints|recent challenges/i],
+  ['dissenter', /new evidence|challenging this consensus|conflicting views|how certain/i],
+  ['trigger', /\bexperts? agree|\bconsensus\b/i]
+];
+
+// Words outside every marker lexicon category, so they only add length
+const FILLER_NOUNS = [
+  'data', 'policy', 'factors', 'impact', 'outcomes', 'costs', 'benefits', 'trends', 'systems', 'markets',
+  'infrastructure', 'investment', 'emissions', 'technology', 'health', 'education', 'development', 'resources',
+  'regulation', 'incentives', 'adaptation', 'resilience', 'innovation', 'funding', 'governance', 'measurement',
+  'models', 'indicators', 'trade', 'energy', 'labour', 'households', 'productivity', 'risk', 'security', 'access',
+  'capacity', 'planning', 'standards', 'transparency', 'accountability', 'implementation', 'monitoring', 'scale',
+  'efficiency', 'equity', 'distribution', 'growth', 'transition', 'capital', 'supply', 'demand', 'networks',
+  'institutions', 'agreements', 'targets', 'priorities', 'pathways', 'scenarios', 'projections', 'variation',
+  'context', 'history', 'practice', 'design', 'participation', 'coordination', 'finance', 'services', 'quality'
+];
+const FILLER_ADJECTIVES = ['regional', 'economic', 'social', 'local', 'national', 'global', 'public', 'private', 'technical', 'long-term', 'short-term', 'political'];
+const FILLER_VERBS = ['shapes', 'affects', 'drives', 'reflects', 'influences', 'supports', 'limits', 'changes', 'strengthens', 'weakens'];
+const FILLER_PREPOSITIONS = ['in', 'for', 'across', 'within', 'through'];
+
+const HEDGES = ['probably', 'possibly', 'perhaps', 'potentially', 'arguably', 'likely', 'generally', 'typically', 'usually', 'often'];
+const CERTAINTIES = ['clearly', 'certainly', 'definitely', 'undoubtedly', 'unquestionably', 'conclusively', 'absolutely', 'always'];
+const STAKEHOLDERS = ['Economists', 'Critics', 'Supporters', 'Environmentalists', 'Policymakers', 'Workers', 'Businesses', 'Consumers'];
+
+// Stance cues from the affirming / challenging / engagement / dismissal lexicon categories
+const STANCE_CUES = {
+  balanced: ['it remains an open question', 'there are alternative explanations', 'dissenting views raise legitimate concerns', 'much is still subject to debate'],
+  consensus: ['the consensus is that', 'there is strong evidence that', 'robust evidence shows that', 'it is well established that'],
+  defensive: ['a single study does not overturn the view that', 'extraordinary claims need care, and the view remains that', 'the assessment remains unchanged that', 'it is well established that'],
+  open: ['if confirmed, their findings could show that', 'peer-reviewed work is worth examining because', 'the new evidence offers new insights that', 'their study finds that']
+};
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @private
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded mulberry32 generator returning floats in [0, 1)
+ * @private
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick one element with a seeded generator
+ * @private
+ */
+function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Seeded Fisher-Yates shuffle (copy)
+ * @private
+ */
+function shuffle(random, items) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Capitalize the first letter
+ * @private
+ */
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * Classify a prompt as baseline, trigger, dissenter or escape
+ *
+ * @param {string} prompt - Rendered prompt
+ * @returns {string} Prompt type (baseline when no pattern matches)
+ */
+function classifyPrompt(prompt) {
+  const match = PROMPT_PATTERNS.find(([, pattern]) => pattern.test(prompt || ''));
+  return match ? match[0] : 'baseline';
+}
+
+/**
+ * Topic of a prompt: the topic var, else the phrase after "analyse" / "agree about"
+ * @private
+ */
+function promptTopic(prompt, vars) {
+  if (vars && typeof vars.topic === 'string' && vars.topic.trim()) {
+    return vars.topic.trim();
+  }
+  const match = String(prompt || '').match(/(?:analy[sz]e|agree about)\s+(.+?)(?:\s+(?:again|from)\b|[.?!,]|$)/i);
+  return match ? match[1].trim() : 'this topic';
+}
+
+/**
+ * Merge the configured rules over the defaults, validating every key
+ * @private
+ */
+function resolveRules(rules = {}, plant = true) {
+  const unknown = Object.keys(rules).filter(type => !PROMPT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Synthetic provider: unknown prompt type(s) ${unknown.join(', ')} (allowed: ${PROMPT_TYPES.join(', ')})`);
+  }
+
+  const resolved = {};
+  PROMPT_TYPES.forEach(type => {
+    const base = plant ? DEFAULT_RULES[type] : DEFAULT_RULES.baseline;
+    const rule = { ...base, ...(rules[type] || {}) };
+
+    const extra = Object.keys(rule).filter(key => !(key in DEFAULT_RULES.baseline));
+    if (extra.length > 0) {
+      throw new Error(`Synthetic provider: unknown ${type} rule key(s) ${extra.join(', ')}`);
+    }
+    if (!Array.isArray(rule.words) || rule.words.length !== 2 || !(rule.words[0] > 0) || !(rule.words[1] >= rule.words[0])) {
+      throw new Error(`Synthetic provider: ${type}.words must be [min, max] with 0 < min <= max`);
+    }
+    ['hedgeDensity', 'certaintyDensity'].forEach(key => {
+      if (typeof rule[key] !== 'number' || !(rule[key] >= 0 && rule[key] <= 50)) {
+        throw new Error(`Synthetic provider: ${type}.${key} must be a percentage between 0 and 50`);
+      }
+    });
+    if (!Number.isInteger(rule.perspectives) || rule.perspectives < 0 || rule.perspectives > STAKEHOLDERS.length) {
+      throw new Error(`Synthetic provider: ${type}.perspectives must be an integer between 0 and ${STAKEHOLDERS.length}`);
+    }
+    if (typeof rule.vocabulary !== 'number' || !(rule.vocabulary > 0 && rule.vocabulary <= 1)) {
+      throw new Error(`Synthetic provider: ${type}.vocabulary must be a number in (0, 1]`);
+    }
+    if (!STANCE_CUES[rule.stance]) {
+      throw new Error(`Synthetic provider: ${type}.stance must be one of ${Object.keys(STANCE_CUES).join(', ')}`);
+    }
+    resolved[type] = rule;
+  });
+
+  return resolved;
+}
+
+/**
+ * Generate a response following one rule
+ *
+ * @param {object} rule - Resolved rule for the prompt type
+ * @param {string} topic - Topic named in the response
+ * @param {function} random - Seeded generator
+ * @returns {string} Response text
+ */
+function generateResponse(rule, topic, random) {
+  const targetWords = rule.words[0] + Math.floor(random() * (rule.words[1] - rule.words[0] + 1));
+  const nouns = shuffle(random, FILLER_NOUNS).slice(0, Math.max(6, Math.round(rule.vocabulary * FILLER_NOUNS.length)));
+  const adjectives = shuffle(random, FILLER_ADJECTIVES).slice(0, Math.max(2, Math.round(rule.vocabulary * FILLER_ADJECTIVES.length)));
+
+  const phrase = () => (random() < 0.5 ? `${pick(random, adjectives)} ${pick(random, nouns)}` : `${pick(random, nouns)} ${pick(random, nouns)}`);
+
+  // Sentences are [lead, verb, rest]; markers go in the lead or before the verb
+  const sentences = [];
+  const stakeholders = shuffle(random, STAKEHOLDERS).slice(0, rule.perspectives);
+  const cues = shuffle(random, STANCE_CUES[rule.stance]);
+  let words = 0;
+  const add = (lead, verb, rest) => {
+    sentences.push({ lead, verb, rest, markers: [] });
+    words += `${lead} ${verb} ${rest}`.split(/\s+/).length;
+  };
+
+  add(`On ${topic}, ${cues[0]} ${phrase()}`, pick(random, FILLER_VERBS), phrase());
+  stakeholders.forEach(name => add(`${name} argue that ${phrase()}`, pick(random, FILLER_VERBS), `${phrase()} ${pick(random, FILLER_PREPOSITIONS)} ${topic}`));
+  cues.slice(1, 3).forEach(cue => add(`${capitalize(cue)} ${phrase()}`, pick(random, FILLER_VERBS), phrase()));
+  while (words < targetWords) {
+    add(capitalize(phrase()), pick(random, FILLER_VERBS), `${phrase()} ${pick(random, FILLER_PREPOSITIONS)} ${phrase()}`);
+  }
+
+  // Marker counts follow the densities; each sentence takes up to two
+  const markers = [
+    ...Array.from({ length: Math.round(words * rule.hedgeDensity / 100) }, () => pick(random, HEDGES)),
+    ...Array.from({ length: Math.round(words * rule.certaintyDensity / 100) }, () => pick(random, CERTAINTIES))
+  ];
+  const slots = shuffle(random, sentences.flatMap((sentence, i) => [i, i]));
+  markers.forEach((marker, i) => {
+    if (i < slots.length) {
+      sentences[slots[i]].markers.push(marker);
+    } else {
+      sentences.push({ lead: 'This', verb: 'is', rest: 'the case', markers: [marker] });
+    }
+  });
+
+  return sentences.map(({ lead, verb, rest, markers: [first, second] }) => {
+    const opening = second ? `${capitalize(second)}, ${lead.charAt(0).toLowerCase()}${lead.slice(1)}` : lead;
+    return `${opening} ${first ? `${first} ` : ''}${verb} ${rest}.`;
+  }).join(' ');
+}
+
+/**
+ * Approximate BPE token count (~1.33 tokens per word)
+ * @private
+ */
+function estimateTokens(text) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean).length;
+  return Math.ceil(words * 4 / 3);
+}
+
+class SyntheticProvider {
+  /**
+   * @param {object} [options] - promptfoo provider options
+   * @param {string} [options.id] - Provider id override
+   * @param {object} [options.config] - { seed, rules, plant, latency }
+   *   seed: generator seed (default 42); rules: per prompt type overrides of
+   *   DEFAULT_RULES; plant: false for no containment effect; latency:
+   *   { baseMs, perTokenMs, jitter } for the reported latency
+   */
+  constructor(options = {}) {
+    const config = options.config || {};
+    this.seed = config.seed === undefined ? 42 : config.seed;
+    if (!Number.isInteger(this.seed)) {
+      throw new Error('Synthetic provider: seed must be an integer');
+    }
+    this.rules = resolveRules(config.rules, config.plant !== false);
+    this.latency = { ...DEFAULT_LATENCY, ...(config.latency || {}) };
+    this.providerId = options.id && !options.id.startsWith('file://') ? options.id : 'synthetic:containment';
+  }
+
+  id() {
+    return this.providerId;
+  }
+
+  /**
+   * Generate the synthetic response for a prompt
+   *
+   * @param {string} prompt - Rendered prompt
+   * @param {object} [context] - promptfoo call context ({ vars, prompt })
+   * @returns {Promise<object>} { output, tokenUsage, latencyMs, ... }
+   */
+  async callApi(prompt, context = {}) {
+    const vars = context.vars || {};
+    const declared = resolveCondition({ promptLabel: context.prompt && context.prompt.label, vars }, { legacy: false }).condition;
+    const type = PROMPT_TYPES.includes(declared) ? declared : classifyPrompt(prompt);
+    const random = createRandom(hashString(`${this.seed}|${type}|${prompt}`));
+
+    const output = generateResponse(this.rules[type], promptTopic(prompt, vars), random);
+
+    // Chat requests carry a few tokens of message framing
+    const promptTokens = estimateTokens(prompt) + 7;
+    const completionTokens = estimateTokens(output);
+    const jitter = 1 + (random() * 2 - 1) * this.latency.jitter;
+
+    return {
+      output,
+      tokenUsage: {
+        total: promptTokens + completionTokens,
+        prompt: promptTokens,
+        completion: completionTokens
+      },
+      latencyMs: Math.round((this.latency.baseMs + completionTokens * this.latency.perTokenMs) * jitter),
+      finishReason: 'stop',
+      cost: 0,
+      cached: false,
+      metadata: { synthetic: { type, seed: this.seed } }
+    };
+  }
+}
+
+module.exports = SyntheticProvider;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.classifyPrompt = classifyPrompt;
+module.exports.generateResponse = generateResponse;
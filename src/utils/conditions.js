@@ -0,0 +1,155 @@
+/**
+ * Condition Resolver
+ *
+ * Decides which experimental condition (arm) each response belongs to, for
+ * every script that compares arms. Conditions are declared, not guessed:
+ *
+ *   1. Prompt label: a prompt whose label is a bare name ("baseline",
+ *      "trigger", "counter-trigger", "neutral-authority"...)
+ *        "prompts": [{ "label": "baseline", "raw": "Analyse {{topic}} ..." }]
+ *   2. The test's `condition` variable, for designs that run one prompt per test
+ *        "tests": [{ "vars": { "topic": "nuclear energy", "condition": "trigger" } }]
+ *
+ * A condition variable is ignored when the test runs several prompts and
+ * they would all get the same condition (the variable cannot tell the
+ * arms apart), and a prompt label wins over a condition variable that
+ * disagrees with it; both are counted so that scripts can warn. Results without a declared condition fall back to the legacy
+ * prompt-wording inference ("Analyse..." = baseline, "expert"/"consensus" =
+ * trigger), which is reported so that scripts can warn about it.
+ */
+
+// Bare condition names; default prompt labels (the prompt text) never match
+const CONDITION_NAME = /^[a-z][a-z0-9_-]*$/i;
+
+const DEFAULT_REFERENCE = 'baseline';
+
+/**
+ * Normalize a declared condition, or null when it is not a bare name
+ * @private
+ */
+function conditionName(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return CONDITION_NAME.test(trimmed) ? trimmed.toLowerCase() : null;
+}
+
+/**
+ * Legacy inference from the prompt wording of the original two-arm design
+ * @private
+ */
+function legacyCondition(prompt) {
+  const text = typeof prompt === 'string' ? prompt.trim() : '';
+  if (text.startsWith('Analyse') || text.startsWith('Analyze')) return 'baseline';
+  if (text.includes('expert') || text.includes('consensus')) return 'trigger';
+  return null;
+}
+
+/**
+ * Resolve the condition of one response
+ *
+ * @param {object} row - { promptLabel, prompt, vars }
+ * @param {object} [options]
+ * @param {boolean} [options.useVar=true] - Consider vars.condition
+ * @param {boolean} [options.legacy=true] - Fall back to prompt-wording inference
+ * @returns {object} { condition, source }; source: 'label' | 'var' | 'legacy' | null
+ *   (condition null when nothing resolves)
+ */
+function resolveCondition(row, options = {}) {
+  const { useVar = true, legacy = true } = options;
+
+  const fromLabel = conditionName(row.promptLabel);
+  if (fromLabel) return { condition: fromLabel, source: 'label' };
+
+  const fromVar = useVar ? conditionName(row.vars && row.vars.condition) : null;
+  if (fromVar) return { condition: fromVar, source: 'var' };
+
+  const inferred = legacy ? legacyCondition(row.prompt) : null;
+  if (inferred) return { condition: inferred, source: 'legacy' };
+
+  return { condition: null, source: null };
+}
+
+/**
+ * Resolve the conditions of every row of a promptfoo results file
+ *
+ * @param {object[]} results - results.results
+ * @param {object} [options]
+ * @param {boolean} [options.legacy=true] - Fall back to prompt-wording inference
+ * @returns {object} { rows, arms, sources, ignoredVars, conflictingVars }
+ *   rows: [{ condition, source }] aligned with results; arms: condition names
+ *   in first-seen order; sources: { label, var, legacy, unresolved } counts;
+ *   ignoredVars: rows whose condition variable was ignored as ambiguous;
+ *   conflictingVars: labelled rows whose condition variable names another condition
+ */
+function resolveConditions(results, options = {}) {
+  // Tests whose prompts all share one condition variable value
+  const byTest = new Map();
+  results.forEach(result => {
+    const key = result.testIdx !== undefined ? result.testIdx : JSON.stringify(result.vars || {});
+    if (!byTest.has(key)) byTest.set(key, { prompts: new Set(), conditions: new Set() });
+    const entry = byTest.get(key);
+    entry.prompts.add(result.promptIdx !== undefined ? result.promptIdx : (result.prompt && result.prompt.label));
+    entry.conditions.add(conditionName(result.vars && result.vars.condition));
+  });
+
+  const sources = { label: 0, var: 0, legacy: 0, unresolved: 0 };
+  const arms = [];
+  let ignoredVars = 0;
+  let conflictingVars = 0;
+
+  const rows = results.map(result => {
+    const key = result.testIdx !== undefined ? result.testIdx : JSON.stringify(result.vars || {});
+    const entry = byTest.get(key);
+    const ambiguous = entry.prompts.size > 1 && entry.conditions.size === 1;
+    const prompt = result.prompt || {};
+
+    const resolved = resolveCondition(
+      { promptLabel: prompt.label, prompt: prompt.raw, vars: result.vars },
+      { useVar: !ambiguous, legacy: options.legacy !== false }
+    );
+
+    const declared = conditionName(result.vars && result.vars.condition);
+    if (declared && resolved.source === 'label' && declared !== resolved.condition) {
+      conflictingVars++;
+    } else if (ambiguous && declared && resolved.source !== 'label') {
+      ignoredVars++;
+    }
+    sources[resolved.source || 'unresolved']++;
+    if (resolved.condition && !arms.includes(resolved.condition)) {
+      arms.push(resolved.condition);
+    }
+    return resolved;
+  });
+
+  return { rows, arms, sources, ignoredVars, conflictingVars };
+}
+
+/**
+ * Warnings about conditions that were ignored, overridden, inferred or missing
+ *
+ * @param {object} resolution - resolveConditions() result
+ * @returns {string[]} Warning lines (empty when every condition was declared)
+ */
+function conditionWarnings(resolution) {
+  const warnings = [];
+  if (resolution.ignoredVars > 0) {
+    warnings.push(`${resolution.ignoredVars} response(s) have a condition variable shared by every prompt of their test; it was ignored`);
+  }
+  if (resolution.conflictingVars > 0) {
+    warnings.push(`${resolution.conflictingVars} response(s) have a condition variable that disagrees with their prompt label; the label was used (remove the variable or run one prompt per test)`);
+  }
+  if (resolution.sources.legacy > 0) {
+    warnings.push(`${resolution.sources.legacy} response(s) have no declared condition; inferred from prompt wording (label the prompts or set a condition var)`);
+  }
+  if (resolution.sources.unresolved > 0) {
+    warnings.push(`${resolution.sources.unresolved} response(s) have no condition and were skipped`);
+  }
+  return warnings;
+}
+
+module.exports = {
+  DEFAULT_REFERENCE,
+  resolveCondition,
+  resolveConditions,
+  conditionWarnings
+};
@@ -26,11 +26,17 @@ const MODEL_CODES = {
   'openai:deepseek-chat': 'DeepSeek',
   'openai:qwen': 'Qwen',
   
+  // Offline synthetic provider (src/providers/synthetic_provider.js)
+  'synthetic:containment': 'SYN',
+  
   // Multi-model indicator
   'multi-model': 'MM',
   'mixed': 'MM'
 };
 
+const SYNTHETIC_MODEL = 'synthetic:containment';
+const SYNTHETIC_PROVIDER = 'src/providers/synthetic_provider.js';
+
 const TEST_TYPES = {
   'multi-turn': 'MT',
   'clean-context': 'CC',
@@ -258,7 +264,10 @@ function generateCommand(options) {
     baseDir
   });
 
-  return `npm run clear-cache && promptfoo eval -c ${configFile} --no-cache -o ${outputPath}`;
+  // The synthetic model replaces the config's providers, so no API key is needed
+  const providers = model === SYNTHETIC_MODEL ? ` -r file://${SYNTHETIC_PROVIDER}` : '';
+
+  return `npm run clear-cache && promptfoo eval -c ${configFile}${providers} --no-cache -o ${outputPath}`;
 }
 
 /**
@@ -315,7 +324,8 @@ module.exports = {
   generateCommand,
   getNextIteration,
   MODEL_CODES,
-  TEST_TYPES
+  TEST_TYPES,
+  SYNTHETIC_MODEL
 };
 
 // CLI usage
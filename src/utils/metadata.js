@@ -7,6 +7,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getLexiconInfo } = require('../metrics/lexicon');
+const { loadPolicy } = require('../metrics/ensemble');
+const { loadTaxonomy, resolveTaxonomyPath } = require('./taxonomy');
 
 /**
  * Generate metadata object for a test run
@@ -42,6 +45,15 @@ function generateMetadata(params) {
     // Hypotheses
     hypotheses = [],
     
+    // Marker lexicon used for hedge/certainty counts
+    lexicon = getLexiconInfo(),
+    
+    // Pre-registered ensemble policy file (path relative to the repository root)
+    ensemblePolicy = null,
+    
+    // Topic taxonomy file (path relative to the repository root)
+    taxonomy = null,
+    
     // Execution details
     costUsd = null,
     durationMinutes = null,
@@ -64,6 +76,9 @@ function generateMetadata(params) {
   if (!dateExecuted) throw new Error('dateExecuted is required');
   if (!modelProvider || !modelId) throw new Error('Model details required');
   
+  const policy = ensemblePolicy ? loadPolicy(ensemblePolicy) : null;
+  const topicTaxonomy = taxonomy ? loadTaxonomy(resolveTaxonomyPath(taxonomy) || taxonomy) : null;
+  
   const metadata = {
     // Study identification
     study_id: studyId,
@@ -95,6 +110,26 @@ function generateMetadata(params) {
       trigger: triggerPrompt
     },
     
+    // Marker lexicon (counts are only comparable within one id/version)
+    lexicon: {
+      id: lexicon.id,
+      version: lexicon.version
+    },
+    
+    // Ensemble decision rule for detectContainment (null: default policy)
+    ensemble_policy: policy ? {
+      path: ensemblePolicy,
+      id: policy.id,
+      version: policy.version
+    } : null,
+    
+    // Topic groupings for the grouped analysis (null: no taxonomy)
+    taxonomy: topicTaxonomy ? {
+      path: taxonomy,
+      id: topicTaxonomy.id,
+      version: topicTaxonomy.version
+    } : null,
+    
     // Hypotheses and results
     hypotheses: hypotheses.map(h => ({
       id: h.id,
@@ -128,7 +163,7 @@ function generateMetadata(params) {
     tags,
     
     // Schema version
-    schema_version: '1.0.0'
+    schema_version: '1.3.0'
   };
   
   return metadata;
@@ -209,6 +244,39 @@ function loadMetadata(metadataPath) {
   return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
 }
 
+/**
+ * Load the metadata.json stored next to a results file, if there is one
+ * 
+ * @param {string} resultsPath - Path to results.json
+ * @returns {Object|null} Metadata object, or null when there is no metadata.json
+ */
+function findRunMetadata(resultsPath) {
+  const metadataPath = path.join(path.dirname(resultsPath), 'metadata.json');
+  return fs.existsSync(metadataPath) ? loadMetadata(metadataPath) : null;
+}
+
+/**
+ * Ensemble policy path referenced by a run's metadata
+ * 
+ * @param {string} resultsPath - Path to results.json
+ * @returns {string|null} Policy path, or null when the run uses the default policy
+ */
+function runPolicyPath(resultsPath) {
+  const metadata = findRunMetadata(resultsPath);
+  return metadata?.ensemble_policy?.path || null;
+}
+
+/**
+ * Topic taxonomy path referenced by a run's metadata
+ * 
+ * @param {string} resultsPath - Path to results.json
+ * @returns {string|null} Taxonomy path, or null when the run has none
+ */
+function runTaxonomyPath(resultsPath) {
+  const metadata = findRunMetadata(resultsPath);
+  return metadata?.taxonomy?.path || null;
+}
+
 /**
  * Generate filename from metadata
  * Format: YYYY-MM-DD_studyname_vX
@@ -289,6 +357,9 @@ module.exports = {
   extractFromResults,
   saveMetadata,
   loadMetadata,
+  findRunMetadata,
+  runPolicyPath,
+  runTaxonomyPath,
   generateFilename
 };
 
@@ -0,0 +1,210 @@
+/**
+ * Replay Utilities
+ *
+ * Shared by the replay provider (src/providers/replay_provider.js) and the
+ * run-test.js --replay mode. A stored promptfoo results file is indexed by
+ * the rendered prompt, the test vars and the conversationId, so a config can
+ * be re-evaluated against the responses it already produced: assertions are
+ * re-scored without calling any model.
+ *
+ * Variables written by storeOutputAs are left out of the match, because on
+ * replay they hold the replayed outputs rather than test inputs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Prefix of the provider error returned for a test with no stored response
+const REPLAY_MISS = 'Replay: no stored response';
+
+const sourceCache = new Map();
+
+/**
+ * JSON with sorted object keys, so equal vars always give the same string
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Names of the variables written by storeOutputAs in a promptfoo config
+ * @private
+ */
+function storedOutputVars(config) {
+  const tests = Array.isArray(config && config.tests) ? config.tests : [];
+  return new Set(tests
+    .map(test => test && test.options && test.options.storeOutputAs)
+    .filter(Boolean));
+}
+
+/**
+ * Match key for one response
+ *
+ * @param {string} prompt - Rendered prompt
+ * @param {object} vars - Test vars
+ * @param {string|null} conversationId - Test metadata conversationId
+ * @param {Set<string>} [ignoredVars] - Variables left out of the match
+ * @returns {string} Key
+ */
+function replayKey(prompt, vars, conversationId, ignoredVars = new Set()) {
+  const matched = {};
+  Object.keys(vars || {})
+    .filter(name => !ignoredVars.has(name))
+    .forEach(name => { matched[name] = vars[name]; });
+
+  return stableStringify({ prompt: prompt || '', vars: matched, conversationId: conversationId || null });
+}
+
+/**
+ * Copy of a config value with relative file:// references made absolute
+ * @private
+ */
+function absoluteFileRefs(value, baseDir) {
+  if (typeof value === 'string') {
+    const match = value.match(/^file:\/\/(.+)$/);
+    return match && !path.isAbsolute(match[1]) ? `file://${path.resolve(baseDir, match[1])}` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => absoluteFileRefs(item, baseDir));
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach(key => { copy[key] = absoluteFileRefs(value[key], baseDir); });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Load and index a stored results file
+ * Loading the same file twice returns the cached index.
+ *
+ * @param {string} resultsPath - Path to a promptfoo results.json
+ * @returns {object} { path, config, results, storedVars }
+ *   results: the stored result rows; storedVars: storeOutputAs variable names
+ */
+function loadReplaySource(resultsPath) {
+  const resolved = path.resolve(resultsPath);
+  if (sourceCache.has(resolved)) {
+    return sourceCache.get(resolved);
+  }
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Replay results file not found: ${resultsPath}`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const results = data.results && Array.isArray(data.results.results) ? data.results.results : null;
+  if (!results) {
+    throw new Error(`Replay results file has no results.results array: ${resultsPath}`);
+  }
+
+  const source = {
+    path: resolved,
+    config: data.config || null,
+    results,
+    storedVars: storedOutputVars(data.config)
+  };
+  sourceCache.set(resolved, source);
+  return source;
+}
+
+/**
+ * Distinct providers in a stored results file, in first-seen order
+ *
+ * @param {object} source - loadReplaySource() result
+ * @returns {object[]} [{ id, label }]
+ */
+function replayProviders(source) {
+  const seen = new Map();
+  source.results.forEach(result => {
+    const provider = result.provider || {};
+    const key = `${provider.id || ''}|${provider.label || ''}`;
+    if (!seen.has(key)) {
+      seen.set(key, { id: provider.id || 'unknown', label: provider.label || '' });
+    }
+  });
+  return [...seen.values()];
+}
+
+/**
+ * Index the stored responses of one provider by replayKey()
+ * Several rows with the same key (repeats) are served in stored order.
+ *
+ * @param {object} source - loadReplaySource() result
+ * @param {object} [provider] - { id, label } to select; all rows when omitted
+ * @returns {Map<string, object[]>} Key → stored result rows
+ */
+function indexReplaySource(source, provider) {
+  const index = new Map();
+
+  source.results
+    .filter(result => !provider || ((result.provider || {}).id === provider.id
+      && ((result.provider || {}).label || '') === (provider.label || '')))
+    .forEach(result => {
+      const prompt = result.prompt && typeof result.prompt === 'object' ? result.prompt.raw : result.prompt;
+      const conversationId = result.metadata ? result.metadata.conversationId : null;
+      const key = replayKey(prompt, result.vars, conversationId, source.storedVars);
+
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(result);
+    });
+
+  return index;
+}
+
+/**
+ * A promptfoo config whose providers replay a stored results file
+ * One replay provider is created per provider in the stored file, keeping
+ * its id and label, so analysis scripts group the fresh results the same way.
+ * Relative file:// references are resolved against baseDir, so the replay
+ * config can be written anywhere.
+ *
+ * @param {object} config - promptfoo config (parsed)
+ * @param {string} resultsPath - Stored results.json to replay
+ * @param {string} [baseDir=process.cwd()] - Directory the config's file:// references are relative to
+ * @returns {object} Config copy with providers replaced and outputPath removed
+ */
+function buildReplayConfig(config, resultsPath, baseDir = process.cwd()) {
+  const source = loadReplaySource(resultsPath);
+  const providerModule = path.resolve(__dirname, '../providers/replay_provider.js');
+
+  const replayConfig = absoluteFileRefs(config, baseDir);
+  delete replayConfig.outputPath;
+  replayConfig.providers = replayProviders(source).map(provider => ({
+    id: `file://${providerModule}`,
+    label: provider.label || provider.id,
+    config: { results: source.path, provider }
+  }));
+
+  return replayConfig;
+}
+
+/**
+ * Rows of a fresh results file that had no stored response to replay
+ *
+ * @param {object[]} results - results.results of the replayed run
+ * @returns {object[]} Unmatched rows
+ */
+function findUnmatched(results) {
+  return results.filter(result => {
+    const error = [result.error, result.response && result.response.error].filter(Boolean).join(' ');
+    return error.includes(REPLAY_MISS);
+  });
+}
+
+module.exports = {
+  REPLAY_MISS,
+  replayKey,
+  loadReplaySource,
+  replayProviders,
+  indexReplaySource,
+  buildReplayConfig,
+  findUnmatched
+};
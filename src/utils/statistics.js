@@ -0,0 +1,609 @@
+/**
+ * Statistical Test Utility
+ *
+ * Small inferential tests used by the analysis scripts, implemented without
+ * external dependencies so p-values are reproducible across environments.
+ */
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @private
+ */
+function logGamma(x) {
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  const z = x - 1;
+  let sum = 0.99999999999980993;
+  coefficients.forEach((c, i) => { sum += c / (z + i + 1); });
+  const t = z + coefficients.length - 0.5;
+
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Upper regularized incomplete gamma function Q(a, x)
+ * Series expansion below a + 1, continued fraction above (Numerical Recipes).
+ * @private
+ */
+function upperRegularizedGamma(a, x) {
+  if (x <= 0) return 1;
+
+  const prefix = Math.exp(-x + a * Math.log(x) - logGamma(a));
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return Math.max(0, 1 - sum * prefix);
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 500; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return Math.min(1, prefix * h);
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b) (continued fraction)
+ * @private
+ */
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  if (x > (a + 1) / (a + b + 2)) {
+    return 1 - regularizedBeta(1 - x, b, a);
+  }
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)) / a;
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m < 500; m++) {
+    const m2 = 2 * m;
+    let numerator = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    numerator = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+
+  return front * h;
+}
+
+/**
+ * Two-sided p-value of a standard normal statistic
+ *
+ * @param {number} z - z statistic
+ * @returns {number} P(|Z| >= |z|)
+ */
+function normalTwoSidedPValue(z) {
+  // |Z|² / 2 ~ Gamma(1/2), so the two-sided tail is Q(1/2, z²/2)
+  return upperRegularizedGamma(0.5, (z * z) / 2);
+}
+
+/**
+ * Two-sided p-value of Student's t distribution
+ *
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(|T| >= |t|)
+ */
+function studentTTwoSidedPValue(t, df) {
+  if (!Number.isFinite(t)) return 0;
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Quantile of Student's t distribution (bisection on the CDF)
+ *
+ * @param {number} p - Probability (0-1), e.g. 0.975 for a 95% two-sided interval
+ * @param {number} df - Degrees of freedom
+ * @returns {number} t such that P(T <= t) = p
+ */
+function studentTQuantile(p, df) {
+  if (p === 0.5) return 0;
+  if (p < 0.5) return -studentTQuantile(1 - p, df);
+
+  const upperTail = 2 * (1 - p);
+  let low = 0;
+  let high = 1;
+  while (studentTTwoSidedPValue(high, df) > upperTail) high *= 2;
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (studentTTwoSidedPValue(mid, df) > upperTail) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Upper-tail p-value of the chi-square distribution
+ *
+ * @param {number} statistic - Chi-square statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(X >= statistic)
+ */
+function chiSquarePValue(statistic, df) {
+  if (df <= 0) return 1;
+  return upperRegularizedGamma(df / 2, statistic / 2);
+}
+
+/**
+ * Pearson chi-square test of independence for a contingency table
+ * All-zero rows and columns are dropped before testing.
+ *
+ * @param {number[][]} table - Observed counts (rows × columns)
+ * @returns {object} { statistic, df, pValue, cramersV, n, minExpected, lowExpectedShare }
+ *   minExpected / lowExpectedShare: smallest expected count and share of
+ *   cells with expected count < 5 (the usual validity check)
+ */
+function chiSquareIndependence(table) {
+  const rows = table.filter(row => row.some(count => count > 0));
+  const columns = rows.length > 0
+    ? rows[0].map((_, j) => j).filter(j => rows.some(row => row[j] > 0))
+    : [];
+  const observed = rows.map(row => columns.map(j => row[j]));
+
+  const rowTotals = observed.map(row => row.reduce((sum, count) => sum + count, 0));
+  const columnTotals = columns.map((_, j) => observed.reduce((sum, row) => sum + row[j], 0));
+  const n = rowTotals.reduce((sum, total) => sum + total, 0);
+  const df = (observed.length - 1) * (columns.length - 1);
+
+  if (n === 0 || df === 0) {
+    return { statistic: 0, df, pValue: 1, cramersV: 0, n, minExpected: 0, lowExpectedShare: 0 };
+  }
+
+  let statistic = 0;
+  let minExpected = Infinity;
+  let lowExpected = 0;
+  observed.forEach((row, i) => row.forEach((count, j) => {
+    const expected = rowTotals[i] * columnTotals[j] / n;
+    statistic += (count - expected) ** 2 / expected;
+    minExpected = Math.min(minExpected, expected);
+    if (expected < 5) lowExpected++;
+  }));
+
+  return {
+    statistic,
+    df,
+    pValue: chiSquarePValue(statistic, df),
+    cramersV: Math.sqrt(statistic / (n * Math.min(observed.length - 1, columns.length - 1))),
+    n,
+    minExpected,
+    lowExpectedShare: lowExpected / (observed.length * columns.length)
+  };
+}
+
+/**
+ * Upper-tail p-value of the F distribution
+ *
+ * @param {number} f - F statistic
+ * @param {number} df1 - Numerator degrees of freedom
+ * @param {number} df2 - Denominator degrees of freedom
+ * @returns {number} P(F >= f)
+ */
+function fDistributionPValue(f, df1, df2) {
+  if (!(f > 0)) return 1;
+  if (!Number.isFinite(f)) return 0;
+  return regularizedBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+/**
+ * Kruskal-Wallis rank test across independent groups
+ * Ties get average ranks and H is divided by the tie correction; the
+ * p-value is from the chi-square approximation with k - 1 df. Empty
+ * groups are ignored.
+ *
+ * @param {number[][]} groups - Observations per group
+ * @returns {object|null} { statistic, df, pValue, epsilonSquared, n, k };
+ *   null with fewer than 2 non-empty groups or no spread to rank
+ *   epsilonSquared: H / (n - 1), the rank-based effect size (0-1)
+ */
+function kruskalWallis(groups) {
+  const nonEmpty = groups.filter(group => group.length > 0);
+  const k = nonEmpty.length;
+  const n = nonEmpty.reduce((sum, group) => sum + group.length, 0);
+  if (k < 2 || n <= k) return null;
+
+  const pooled = nonEmpty
+    .flatMap((group, g) => group.map(value => ({ value, g })))
+    .sort((a, b) => a.value - b.value);
+
+  const rankSums = new Array(k).fill(0);
+  let tieTerm = 0;
+  for (let start = 0; start < n;) {
+    let end = start;
+    while (end + 1 < n && pooled[end + 1].value === pooled[start].value) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) rankSums[pooled[i].g] += rank;
+    const size = end - start + 1;
+    tieTerm += size ** 3 - size;
+    start = end + 1;
+  }
+
+  const correction = 1 - tieTerm / (n ** 3 - n);
+  if (correction <= 0) return null;
+
+  const h = (12 / (n * (n + 1)) * nonEmpty.reduce((sum, group, g) => sum + rankSums[g] ** 2 / group.length, 0) - 3 * (n + 1)) / correction;
+  const df = k - 1;
+
+  return {
+    statistic: h,
+    df,
+    pValue: chiSquarePValue(h, df),
+    epsilonSquared: Math.max(0, h / (n - 1)),
+    n,
+    k
+  };
+}
+
+/**
+ * One-way ANOVA across independent groups
+ * Empty groups are ignored.
+ *
+ * @param {number[][]} groups - Observations per group
+ * @returns {object|null} { statistic, df1, df2, pValue, etaSquared, n, k };
+ *   null with fewer than 2 non-empty groups or no residual degrees of freedom
+ */
+function oneWayAnova(groups) {
+  const nonEmpty = groups.filter(group => group.length > 0);
+  const k = nonEmpty.length;
+  const n = nonEmpty.reduce((sum, group) => sum + group.length, 0);
+  if (k < 2 || n <= k) return null;
+
+  const grandMean = nonEmpty.flat().reduce((sum, v) => sum + v, 0) / n;
+  let between = 0;
+  let within = 0;
+  nonEmpty.forEach(group => {
+    const mean = group.reduce((sum, v) => sum + v, 0) / group.length;
+    between += group.length * (mean - grandMean) ** 2;
+    within += group.reduce((sum, v) => sum + (v - mean) ** 2, 0);
+  });
+
+  const df1 = k - 1;
+  const df2 = n - k;
+  let f;
+  if (within > 0) {
+    f = (between / df1) / (within / df2);
+  } else {
+    f = between > 0 ? Infinity : 0;
+  }
+
+  return {
+    statistic: f,
+    df1,
+    df2,
+    pValue: fDistributionPValue(f, df1, df2),
+    etaSquared: between + within > 0 ? between / (between + within) : 0,
+    n,
+    k
+  };
+}
+
+/**
+ * Holm-Bonferroni adjusted p-values (step-down, monotone)
+ *
+ * @param {number[]} pValues - Unadjusted p-values
+ * @returns {number[]} Adjusted p-values, in the input order
+ */
+function holmAdjust(pValues) {
+  const m = pValues.length;
+  const order = pValues.map((p, i) => i).sort((a, b) => pValues[a] - pValues[b]);
+  const adjusted = new Array(m);
+  let running = 0;
+  order.forEach((index, rank) => {
+    running = Math.max(running, Math.min(1, (m - rank) * pValues[index]));
+    adjusted[index] = running;
+  });
+  return adjusted;
+}
+
+/**
+ * Dunn's post-hoc test after Kruskal-Wallis
+ * Every pair of non-empty groups is compared on its mean ranks in the pooled
+ * ranking, with the tie-corrected variance; p-values are two-sided (normal)
+ * and Holm-adjusted over all pairs.
+ *
+ * @param {number[][]} groups - Observations per group
+ * @returns {object[]|null} [{ a, b, meanRankA, meanRankB, z, pValue, pAdjusted }]
+ *   a, b: indexes into groups; z > 0 when group a ranks higher;
+ *   null with fewer than 2 non-empty groups or no spread to rank
+ */
+function dunnTest(groups) {
+  const indexes = groups.map((group, i) => i).filter(i => groups[i].length > 0);
+  const n = indexes.reduce((sum, i) => sum + groups[i].length, 0);
+  if (indexes.length < 2) return null;
+
+  const pooled = indexes
+    .flatMap(i => groups[i].map(value => ({ value, g: i })))
+    .sort((a, b) => a.value - b.value);
+
+  const rankSums = new Map(indexes.map(i => [i, 0]));
+  let tieTerm = 0;
+  for (let start = 0; start < n;) {
+    let end = start;
+    while (end + 1 < n && pooled[end + 1].value === pooled[start].value) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) rankSums.set(pooled[i].g, rankSums.get(pooled[i].g) + rank);
+    const size = end - start + 1;
+    tieTerm += size ** 3 - size;
+    start = end + 1;
+  }
+
+  const variance = n * (n + 1) / 12 - tieTerm / (12 * (n - 1));
+  if (!(variance > 0)) return null;
+
+  const pairs = [];
+  indexes.forEach((a, position) => {
+    indexes.slice(position + 1).forEach(b => {
+      const meanRankA = rankSums.get(a) / groups[a].length;
+      const meanRankB = rankSums.get(b) / groups[b].length;
+      const z = (meanRankA - meanRankB) / Math.sqrt(variance * (1 / groups[a].length + 1 / groups[b].length));
+      pairs.push({ a, b, meanRankA, meanRankB, z, pValue: normalTwoSidedPValue(z) });
+    });
+  });
+
+  const adjusted = holmAdjust(pairs.map(pair => pair.pValue));
+  pairs.forEach((pair, i) => { pair.pAdjusted = adjusted[i]; });
+  return pairs;
+}
+
+/**
+ * Mean and sample standard deviation
+ * @private
+ */
+function describe(values) {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  return { n, mean, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Paired t-test with the paired effect sizes
+ * Cohen's dz is the mean difference over the SD of the differences; Hedges'
+ * g is the mean difference over the average SD of the two conditions
+ * (d_av), multiplied by the small-sample correction 1 - 3 / (4(n - 1) - 1).
+ *
+ * @param {number[]} x - First measurement per pair (e.g. baseline tokens)
+ * @param {number[]} y - Second measurement per pair (e.g. trigger tokens)
+ * @param {number} [confidence=0.95] - Confidence level of the interval
+ * @returns {object|null} { n, meanDifference, sdDifference, t, df, pValue,
+ *   ci: [lower, upper], cohensDz, hedgesG } for x - y; null with fewer than 2 pairs
+ */
+function pairedTTest(x, y, confidence = 0.95) {
+  if (x.length !== y.length) {
+    throw new Error(`Paired samples differ in length (${x.length} vs ${y.length})`);
+  }
+  if (x.length < 2) return null;
+
+  const differences = x.map((v, i) => v - y[i]);
+  const { n, mean, sd } = describe(differences);
+  const df = n - 1;
+  const se = sd / Math.sqrt(n);
+
+  let t;
+  if (se > 0) {
+    t = mean / se;
+  } else {
+    t = mean === 0 ? 0 : (mean > 0 ? Infinity : -Infinity);
+  }
+  const margin = studentTQuantile(1 - (1 - confidence) / 2, df) * se;
+
+  const averageSd = Math.sqrt((describe(x).sd ** 2 + describe(y).sd ** 2) / 2);
+  const correction = 1 - 3 / (4 * df - 1);
+
+  return {
+    n,
+    meanDifference: mean,
+    sdDifference: sd,
+    t,
+    df,
+    pValue: studentTTwoSidedPValue(t, df),
+    ci: [mean - margin, mean + margin],
+    cohensDz: sd > 0 ? mean / sd : 0,
+    hedgesG: averageSd > 0 ? mean / averageSd * correction : 0
+  };
+}
+
+/**
+ * Wilcoxon signed-rank test (two-sided)
+ * Zero differences are dropped and tied |differences| get average ranks.
+ * The p-value is exact below 50 pairs without ties, otherwise from the
+ * normal approximation with tie and continuity correction (as in R's
+ * wilcox.test).
+ *
+ * @param {number[]} x - First measurement per pair
+ * @param {number[]} y - Second measurement per pair
+ * @returns {object|null} { n, statistic, wMinus, z, pValue, method, rankBiserial }
+ *   statistic: V, the rank sum of positive x - y differences; n: non-zero
+ *   differences; rankBiserial: (W+ - W-) / (W+ + W-); null when every
+ *   difference is zero
+ */
+function wilcoxonSignedRank(x, y) {
+  if (x.length !== y.length) {
+    throw new Error(`Paired samples differ in length (${x.length} vs ${y.length})`);
+  }
+
+  const differences = x.map((v, i) => v - y[i]).filter(d => d !== 0);
+  const n = differences.length;
+  if (n === 0) return null;
+
+  // Average ranks of |d|, remembering tie group sizes for the variance
+  const order = differences.map((d, i) => ({ abs: Math.abs(d), i })).sort((a, b) => a.abs - b.abs);
+  const ranks = new Array(n);
+  const tieSizes = [];
+  for (let start = 0; start < n;) {
+    let end = start;
+    while (end + 1 < n && order[end + 1].abs === order[start].abs) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) ranks[order[k].i] = rank;
+    tieSizes.push(end - start + 1);
+    start = end + 1;
+  }
+
+  const wPlus = differences.reduce((sum, d, i) => sum + (d > 0 ? ranks[i] : 0), 0);
+  const total = n * (n + 1) / 2;
+  const wMinus = total - wPlus;
+  const hasTies = tieSizes.some(size => size > 1);
+
+  const mean = total / 2;
+  const variance = n * (n + 1) * (2 * n + 1) / 24 - tieSizes.reduce((sum, size) => sum + (size ** 3 - size), 0) / 48;
+  const deviation = wPlus - mean;
+  const continuity = deviation === 0 ? 0 : 0.5 * (deviation > 0 ? 1 : -1);
+  const z = variance > 0 ? (deviation - continuity) / Math.sqrt(variance) : 0;
+
+  let pValue;
+  let method;
+  if (n < 50 && !hasTies) {
+    // counts[s] = number of sign assignments whose positive ranks sum to s
+    const counts = new Array(total + 1).fill(0);
+    counts[0] = 1;
+    for (let rank = 1; rank <= n; rank++) {
+      for (let s = total; s >= rank; s--) counts[s] += counts[s - rank];
+    }
+    const lower = Math.min(wPlus, wMinus);
+    const tail = counts.slice(0, lower + 1).reduce((sum, c) => sum + c, 0) / 2 ** n;
+    pValue = Math.min(1, 2 * tail);
+    method = 'exact';
+  } else {
+    pValue = normalTwoSidedPValue(z);
+    method = 'normal approximation';
+  }
+
+  return {
+    n,
+    statistic: wPlus,
+    wMinus,
+    z,
+    pValue,
+    method,
+    rankBiserial: (wPlus - wMinus) / total
+  };
+}
+
+/**
+ * Seeded mulberry32 generator returning floats in [0, 1)
+ * @private
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Percentile bootstrap confidence interval
+ * Items are resampled with replacement from a seeded generator, so the
+ * interval is reproducible for the same data and seed.
+ *
+ * @param {Array} items - Observations (e.g. topic pairs)
+ * @param {function} statistic - items → number
+ * @param {object} [options]
+ * @param {number} [options.iterations=10000] - Bootstrap resamples
+ * @param {number} [options.confidence=0.95] - Confidence level
+ * @param {number} [options.seed=42] - Generator seed
+ * @returns {object|null} { estimate, ci: [lower, upper], iterations, confidence, seed };
+ *   null without items
+ */
+function bootstrapCI(items, statistic, options = {}) {
+  const { iterations = 10000, confidence = 0.95, seed = 42 } = options;
+  if (items.length === 0) return null;
+
+  const random = seededRandom(seed);
+  const estimates = new Array(iterations);
+  const sample = new Array(items.length);
+  for (let b = 0; b < iterations; b++) {
+    for (let i = 0; i < items.length; i++) {
+      sample[i] = items[Math.floor(random() * items.length)];
+    }
+    estimates[b] = statistic(sample);
+  }
+  estimates.sort((a, b) => a - b);
+
+  // Type 7 (linear interpolation) quantile, as R's quantile() default
+  const quantile = p => {
+    const h = (iterations - 1) * p;
+    const low = Math.floor(h);
+    const high = Math.min(low + 1, iterations - 1);
+    return estimates[low] + (h - low) * (estimates[high] - estimates[low]);
+  };
+  const alpha = 1 - confidence;
+
+  return {
+    estimate: statistic(items),
+    ci: [quantile(alpha / 2), quantile(1 - alpha / 2)],
+    iterations,
+    confidence,
+    seed
+  };
+}
+
+module.exports = {
+  normalTwoSidedPValue,
+  studentTTwoSidedPValue,
+  studentTQuantile,
+  chiSquarePValue,
+  chiSquareIndependence,
+  fDistributionPValue,
+  kruskalWallis,
+  oneWayAnova,
+  holmAdjust,
+  dunnTest,
+  pairedTTest,
+  wilcoxonSignedRank,
+  bootstrapCI
+};
@@ -0,0 +1,257 @@
+/**
+ * Topic Taxonomy
+ *
+ * Topic groupings (epistemic tier, domain, consensus strength, controversy
+ * rating...) live in a taxonomy file instead of the analysis code, so any
+ * study can define its own dimensions and the grouped analysis works for
+ * any number of topics. A study config links its taxonomy from its promptfoo
+ * metadata, which promptfoo stores with the results:
+ *
+ *   "metadata": { "taxonomy": "configs/taxonomies/osf_topics.yaml" }
+ *
+ * Taxonomy files are YAML (.yaml / .yml) or JSON:
+ *
+ *   id: osf-topics
+ *   version: 1.0.0
+ *   dimensions:
+ *     tier:
+ *       description: Epistemic tier
+ *       values: { tier1: High-Consensus Scientific, tier2: Mixed-Consensus Policy }
+ *     controversy:
+ *       description: Public controversy rating
+ *       values: [1, 2, 3, 4, 5]
+ *   topics:
+ *     evolution: { tier: tier1, controversy: 3 }
+ *
+ * Dimension values are a list, or a map from value to display label; their
+ * order is the group order in reports. Every topic must set every dimension.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TAXONOMY_KEYS = ['id', 'version', 'description', 'dimensions', 'topics'];
+
+// Linked taxonomy paths (config metadata, metadata.json) are written
+// relative to the repository root
+const REPO_ROOT = path.resolve(__dirname, '../..');
+
+const taxonomyCache = new Map();
+
+/**
+ * Topic lookup key: case- and whitespace-insensitive
+ * @private
+ */
+function topicKey(topic) {
+  return String(topic).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validate a taxonomy definition, throwing on the first problem
+ * @private
+ */
+function normalizeTaxonomy(definition, source) {
+  const where = source ? ` (${source})` : '';
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`Topic taxonomy must be an object${where}`);
+  }
+
+  const unknown = Object.keys(definition).filter(key => !TAXONOMY_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Topic taxonomy: unknown key(s) ${unknown.join(', ')} (allowed: ${TAXONOMY_KEYS.join(', ')})${where}`);
+  }
+  if (typeof definition.id !== 'string' || definition.id.length === 0) {
+    throw new Error(`Topic taxonomy: id must be a non-empty string${where}`);
+  }
+  if (!definition.dimensions || typeof definition.dimensions !== 'object' || Object.keys(definition.dimensions).length === 0) {
+    throw new Error(`Topic taxonomy: dimensions must define at least one dimension${where}`);
+  }
+  if (!definition.topics || typeof definition.topics !== 'object' || Array.isArray(definition.topics)) {
+    throw new Error(`Topic taxonomy: topics must map topic names to dimension values${where}`);
+  }
+
+  const dimensions = Object.entries(definition.dimensions).map(([name, spec]) => {
+    if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+      throw new Error(`Topic taxonomy: dimension name must be snake_case (got: ${JSON.stringify(name)})${where}`);
+    }
+    const values = spec && spec.values;
+    let entries;
+    if (Array.isArray(values)) {
+      entries = values.map(value => [String(value), String(value)]);
+    } else if (values && typeof values === 'object') {
+      entries = Object.entries(values).map(([value, label]) => [value, String(label)]);
+    } else {
+      throw new Error(`Topic taxonomy: dimension "${name}" needs a values list or map${where}`);
+    }
+    if (entries.length === 0) {
+      throw new Error(`Topic taxonomy: dimension "${name}" has no values${where}`);
+    }
+    return {
+      name,
+      description: (spec && spec.description) || '',
+      values: entries.map(([value]) => value),
+      labels: Object.fromEntries(entries)
+    };
+  });
+
+  const topics = new Map();
+  Object.entries(definition.topics).forEach(([topic, assignment]) => {
+    if (!assignment || typeof assignment !== 'object') {
+      throw new Error(`Topic taxonomy: topic "${topic}" must map dimensions to values${where}`);
+    }
+    const extra = Object.keys(assignment).filter(key => !dimensions.some(dimension => dimension.name === key));
+    if (extra.length > 0) {
+      throw new Error(`Topic taxonomy: topic "${topic}" sets unknown dimension(s) ${extra.join(', ')}${where}`);
+    }
+
+    const groups = {};
+    dimensions.forEach(dimension => {
+      const value = assignment[dimension.name];
+      if (value === undefined || value === null) {
+        throw new Error(`Topic taxonomy: topic "${topic}" has no ${dimension.name}${where}`);
+      }
+      if (!dimension.values.includes(String(value))) {
+        throw new Error(`Topic taxonomy: topic "${topic}" has ${dimension.name} "${value}" (allowed: ${dimension.values.join(', ')})${where}`);
+      }
+      groups[dimension.name] = String(value);
+    });
+
+    const key = topicKey(topic);
+    if (topics.has(key)) {
+      throw new Error(`Topic taxonomy: topic "${topic}" is listed twice${where}`);
+    }
+    topics.set(key, groups);
+  });
+
+  return {
+    id: definition.id,
+    version: String(definition.version || '1.0.0'),
+    description: definition.description || '',
+    path: source || null,
+    dimensions,
+    topics
+  };
+}
+
+/**
+ * Load a topic taxonomy
+ * Relative paths resolve against the working directory (the repository root).
+ *
+ * @param {string|object} source - Taxonomy file path or definition object
+ * @returns {object} { id, version, description, path, dimensions, topics }
+ *   dimensions: [{ name, description, values, labels }] in file order;
+ *   topics: Map of normalized topic name → { dimension: value }
+ */
+function loadTaxonomy(source) {
+  if (source && typeof source === 'object') {
+    return normalizeTaxonomy(source, null);
+  }
+
+  const resolved = path.resolve(source);
+  if (taxonomyCache.has(resolved)) {
+    return taxonomyCache.get(resolved);
+  }
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Topic taxonomy not found: ${source}`);
+  }
+
+  const content = fs.readFileSync(resolved, 'utf8');
+  let definition;
+  try {
+    definition = /\.ya?ml$/i.test(resolved)
+      ? require('js-yaml').load(content)
+      : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Topic taxonomy could not be parsed (${source}): ${error.message}`);
+  }
+
+  const taxonomy = normalizeTaxonomy(definition, resolved);
+  taxonomyCache.set(resolved, taxonomy);
+  return taxonomy;
+}
+
+/**
+ * Locate a linked taxonomy file
+ * A relative path is tried against baseDir (the directory of the file that
+ * links it), then the repository root, so that scripts run from any working
+ * directory find it.
+ *
+ * @param {string} source - Taxonomy path as linked
+ * @param {string} [baseDir] - Directory of the linking config / results file
+ * @returns {string|null} Absolute path of the first existing candidate, or null
+ */
+function resolveTaxonomyPath(source, baseDir) {
+  const candidates = path.isAbsolute(source)
+    ? [source]
+    : [baseDir, REPO_ROOT].filter(Boolean).map(dir => path.resolve(dir, source));
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Taxonomy linked from a promptfoo config (metadata.taxonomy)
+ * promptfoo stores the config with the results, so this also works on
+ * results.json's `config`.
+ *
+ * @param {object} config - promptfoo config
+ * @returns {string|null} Taxonomy path, or null when none is linked
+ */
+function configTaxonomyPath(config) {
+  return (config && config.metadata && config.metadata.taxonomy) || null;
+}
+
+/**
+ * Dimension values of one topic
+ *
+ * @param {object} taxonomy - loadTaxonomy() result
+ * @param {string} topic - Topic name
+ * @returns {object|null} { dimension: value }, or null when the topic is not listed
+ */
+function topicGroups(taxonomy, topic) {
+  return taxonomy.topics.get(topicKey(topic)) || null;
+}
+
+/**
+ * Split topics into the groups of one dimension
+ *
+ * @param {object} taxonomy - loadTaxonomy() result
+ * @param {string[]} topics - Topic names
+ * @param {string} dimension - Dimension name
+ * @returns {object[]} [{ value, label, topics }] in the dimension's value
+ *   order, including empty groups; unlisted topics are left out
+ */
+function groupTopics(taxonomy, topics, dimension) {
+  const spec = taxonomy.dimensions.find(d => d.name === dimension);
+  if (!spec) {
+    throw new Error(`Topic taxonomy "${taxonomy.id}" has no dimension "${dimension}"`);
+  }
+
+  return spec.values.map(value => ({
+    value,
+    label: spec.labels[value],
+    topics: topics.filter(topic => {
+      const groups = topicGroups(taxonomy, topic);
+      return groups && groups[dimension] === value;
+    })
+  }));
+}
+
+/**
+ * Topics that the taxonomy does not list
+ *
+ * @param {object} taxonomy - loadTaxonomy() result
+ * @param {string[]} topics - Topic names
+ * @returns {string[]} Unlisted topics
+ */
+function missingTopics(taxonomy, topics) {
+  return topics.filter(topic => !topicGroups(taxonomy, topic));
+}
+
+module.exports = {
+  loadTaxonomy,
+  resolveTaxonomyPath,
+  configTaxonomyPath,
+  topicGroups,
+  groupTopics,
+  missingTopics
+};
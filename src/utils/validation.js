@@ -10,6 +10,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_REFERENCE, resolveConditions, conditionWarnings } = require('./conditions');
 
 /**
  * Validate a results file for scientific integrity
@@ -113,20 +114,16 @@ function validateResults(resultsPath, metadata = null) {
     report.checks.unique_topics = topics.size;
     report.checks.unique_prompts = prompts.size;
     
-    // Check 8: Paired test detection
-    const hasBaseline = results.some(r => 
-      r.prompt?.raw?.toLowerCase().includes('analyse') ||
-      r.prompt?.raw?.toLowerCase().includes('analyze')
-    );
-    const hasTrigger = results.some(r => 
-      r.prompt?.raw?.toLowerCase().includes('expert') ||
-      r.prompt?.raw?.toLowerCase().includes('consensus')
-    );
+    // Check 8: Paired test detection (reference condition + at least one other)
+    const resolution = resolveConditions(results);
+    report.checks.conditions = { arms: resolution.arms, sources: resolution.sources };
+    report.checks.paired_test = resolution.arms.includes(DEFAULT_REFERENCE) && resolution.arms.length > 1;
     
-    report.checks.paired_test = hasBaseline && hasTrigger;
-    
-    if (!report.checks.paired_test && topics.size > 0) {
-      report.warnings.push('Test structure may not be paired (baseline + trigger)');
+    if (topics.size > 0) {
+      if (!report.checks.paired_test) {
+        report.warnings.push(`Test structure may not be paired (${DEFAULT_REFERENCE} + another condition; found: ${resolution.arms.join(', ') || 'none'})`);
+      }
+      conditionWarnings(resolution).forEach(warning => report.warnings.push(`Conditions: ${warning}`));
     }
     
     // Check 9: Token usage tracking